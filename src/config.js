@@ -75,17 +75,146 @@ export const config = {
     port: parseInt(process.env.POSTGRES_PORT || '5432', 10),
     database: process.env.POSTGRES_DB || '',
     user: process.env.POSTGRES_USER || '',
-    password: process.env.POSTGRES_PASSWORD || ''
+    password: process.env.POSTGRES_PASSWORD || '',
+    // pg_notify channels used by the dev.notify_*_change trigger functions
+    channels: {
+      offers: process.env.PG_CHANNEL_OFFERS || 'offer_change',
+      inbox: process.env.PG_CHANNEL_INBOX || 'user_inbox'
+    }
   },
   cloudflare: {
     zoneId: process.env.CLOUDFLARE_ZONE_ID || '',
-    apiToken: process.env.CLOUDFLARE_API_TOKEN || ''
+    apiToken: process.env.CLOUDFLARE_API_TOKEN || '',
+    // 'tags' purges by Cache-Tag (set on GET /offers responses), 'urls' purges the URLs
+    // built from purgeUrlTemplates; search pages are only reachable by tag.
+    purgeMode: process.env.CLOUDFLARE_PURGE_MODE === 'urls' ? 'urls' : 'tags',
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
+    purgeUrlTemplates: (process.env.CLOUDFLARE_PURGE_URL_TEMPLATES
+      || '{base}/offers,{base}/offers?filter[main_category]={main_category},{base}/offers?filter[category]={category},{base}/offers/{offer_id}/price-history')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    purgeDebounceMs: envNumber('CLOUDFLARE_PURGE_DEBOUNCE_MS') ?? 2000,
+    purgeMaxWaitMs: envNumber('CLOUDFLARE_PURGE_MAX_WAIT_MS') ?? 10000,
+    // Cloudflare accepts at most 30 files or tags per purge request.
+    purgeBatchSize: envNumber('CLOUDFLARE_PURGE_BATCH_SIZE') ?? 30
   },
+  manageOfferSignature: {
+    // Comma-separated list: the first secret is the current one, the others are still
+    // accepted so the scraper and this service can switch keys at different times.
+    secrets: (process.env.MANAGE_OFFER_SECRETS || '').split(',').map(s => s.trim()).filter(Boolean),
+    required: envBool('MANAGE_OFFER_SIGNATURE_REQUIRED') ?? true,
+    toleranceSeconds: envNumber('MANAGE_OFFER_SIGNATURE_TOLERANCE_SECONDS') ?? 300
+  },
+  ingestion: {
+    pollIntervalMs: envNumber('INGESTION_POLL_INTERVAL_MS') ?? 1000,
+    maxAttempts: envNumber('INGESTION_MAX_ATTEMPTS') ?? 8,
+    backoffBaseMs: envNumber('INGESTION_BACKOFF_BASE_MS') ?? 2000,
+    backoffMaxMs: envNumber('INGESTION_BACKOFF_MAX_MS') ?? 15 * 60 * 1000,
+    staleLockMs: envNumber('INGESTION_STALE_LOCK_MS') ?? 10 * 60 * 1000,
+    // Done jobs older than this are deleted (except deletions, see pruneDoneJobs).
+    doneRetentionMs: envNumber('INGESTION_DONE_RETENTION_MS') ?? 7 * 24 * 60 * 60 * 1000
+  },
+  offerMatching: {
+    fuzzyTitleThreshold: envNumber('OFFER_MATCH_TITLE_THRESHOLD') ?? 0.8,
+    fuzzyPriceTolerance: envNumber('OFFER_MATCH_PRICE_TOLERANCE') ?? 0.01,
+    fuzzyWindowMs: envNumber('OFFER_MATCH_WINDOW_MS') ?? 48 * 60 * 60 * 1000
+  },
+  offersCache: {
+    enabled: envBool('OFFERS_CACHE_ENABLED') ?? true,
+    ttlMs: envNumber('OFFERS_CACHE_TTL_MS') ?? 30 * 1000,
+    maxEntries: envNumber('OFFERS_CACHE_MAX_ENTRIES') ?? 500,
+    maxBytes: envNumber('OFFERS_CACHE_MAX_BYTES') ?? 64 * 1024 * 1024
+  },
+  favoritesPreview: {
+    windowDays: envNumber('FAVORITES_PREVIEW_WINDOW_DAYS') ?? 14,
+    // Offers scanned at most per preview (newest first).
+    maxScan: envNumber('FAVORITES_PREVIEW_MAX_SCAN') ?? 5000,
+    defaultLimit: envNumber('FAVORITES_PREVIEW_LIMIT') ?? 20
+  },
+  offersTotal: {
+    // Planner estimates up to this size get an exact COUNT(*), bounded by exactTimeoutMs.
+    exactThreshold: envNumber('OFFERS_TOTAL_EXACT_THRESHOLD') ?? 20000,
+    exactTimeoutMs: envNumber('OFFERS_TOTAL_EXACT_TIMEOUT_MS') ?? 300,
+    cacheTtlMs: envNumber('OFFERS_TOTAL_CACHE_TTL_MS') ?? 60 * 1000,
+    cacheMaxEntries: envNumber('OFFERS_TOTAL_CACHE_MAX_ENTRIES') ?? 1000,
+    // Exact counts running at once in the process, each on its own pool connection.
+    maxConcurrent: envNumber('OFFERS_TOTAL_MAX_CONCURRENT') ?? 2
+  },
+  offerStream: {
+    maxClients: envNumber('OFFER_STREAM_MAX_CLIENTS') ?? 1000,
+    heartbeatMs: envNumber('OFFER_STREAM_HEARTBEAT_MS') ?? 25 * 1000,
+    retryMs: envNumber('OFFER_STREAM_RETRY_MS') ?? 5000,
+    replayBufferSize: envNumber('OFFER_STREAM_REPLAY_BUFFER') ?? 200
+  },
+  fcm: {
+    // Requests in flight at once per dispatch; starts per second across all dispatches of
+    // the instance.
+    concurrency: envNumber('FCM_CONCURRENCY') ?? 50,
+    maxPerSecond: envNumber('FCM_MAX_PER_SECOND') ?? 300,
+    // Retries on 429/5xx and network errors; Retry-After wins over the backoff when sent.
+    maxRetries: envNumber('FCM_MAX_RETRIES') ?? 3,
+    retryBaseMs: envNumber('FCM_RETRY_BASE_MS') ?? 1000,
+    maxRetryDelayMs: envNumber('FCM_MAX_RETRY_DELAY_MS') ?? 60 * 1000
+  },
+  notificationPolicy: {
+    // Used for quiet hours and "today" when a user has not set a timezone.
+    defaultTimezone: process.env.NOTIFICATIONS_DEFAULT_TIMEZONE || 'Europe/Rome',
+    // Pushes per user and type when the user has not set their own caps.
+    caps: {
+      superoffer: {
+        daily: envNumber('NOTIFY_CAP_SUPEROFFER_DAILY') ?? 10,
+        hourly: envNumber('NOTIFY_CAP_SUPEROFFER_HOURLY') ?? 3
+      },
+      favorite_product: {
+        daily: envNumber('NOTIFY_CAP_FAVORITE_PRODUCT_DAILY') ?? 20,
+        hourly: envNumber('NOTIFY_CAP_FAVORITE_PRODUCT_HOURLY') ?? 5
+      },
+      saved_search: {
+        daily: envNumber('NOTIFY_CAP_SAVED_SEARCH_DAILY') ?? 15,
+        hourly: envNumber('NOTIFY_CAP_SAVED_SEARCH_HOURLY') ?? 4
+      }
+    },
+    maxCap: envNumber('NOTIFY_CAP_MAX') ?? 200
+  },
+  digests: {
+    enabled: envBool('DIGESTS_ENABLED') ?? true,
+    pollIntervalMs: envNumber('DIGESTS_POLL_INTERVAL_MS') ?? 5 * 60 * 1000,
+    // Local hour (user's timezone) digests go out at; weekly ones on weeklyDay (0 = Sunday).
+    sendHour: envNumber('DIGESTS_SEND_HOUR') ?? 19,
+    weeklyDay: envNumber('DIGESTS_WEEKLY_DAY') ?? 0,
+    topN: envNumber('DIGESTS_TOP_N') ?? 5,
+    batchSize: envNumber('DIGESTS_BATCH_SIZE') ?? 200,
+    // Matches still unsent after this long (offer expired meanwhile) are dropped.
+    itemRetentionDays: envNumber('DIGESTS_ITEM_RETENTION_DAYS') ?? 14
+  },
+  scheduledNotifications: {
+    pollIntervalMs: envNumber('SCHEDULED_NOTIFICATIONS_POLL_INTERVAL_MS') ?? 15 * 1000,
+    // Pushes due longer ago than this (server down at the time) are marked missed, not sent.
+    maxDelayMs: envNumber('SCHEDULED_NOTIFICATIONS_MAX_DELAY_MS') ?? 6 * 60 * 60 * 1000,
+    // A push still 'sending' after this long was interrupted; it is failed, never resent.
+    staleSendMs: envNumber('SCHEDULED_NOTIFICATIONS_STALE_SEND_MS') ?? 30 * 60 * 1000
+  },
+  inboxSocket: {
+    path: process.env.INBOX_SOCKET_PATH || '/ws/inbox',
+    heartbeatMs: envNumber('INBOX_SOCKET_HEARTBEAT_MS') ?? 30 * 1000,
+    // How long a socket opened without a token may wait before its auth message.
+    authMs: envNumber('INBOX_SOCKET_AUTH_MS') ?? 10 * 1000
+  },
+  // Signs GET /offers cursors; must be the same on every instance behind the load balancer.
+  offersCursorSecret: process.env.OFFERS_CURSOR_SECRET || '',
+  offersRelevance: {
+    titleWeight: envNumber('OFFERS_RELEVANCE_TITLE_WEIGHT') ?? 1,
+    bodyWeight: envNumber('OFFERS_RELEVANCE_BODY_WEIGHT') ?? 0.4,
+    prefixBoost: envNumber('OFFERS_RELEVANCE_PREFIX_BOOST') ?? 0.5,
+    subCategoryBoost: envNumber('OFFERS_RELEVANCE_SUBCATEGORY_BOOST') ?? 0.3,
+    recencyHalfLifeHours: envNumber('OFFERS_RELEVANCE_HALF_LIFE_HOURS') ?? 72,
+    recencyWeight: envNumber('OFFERS_RELEVANCE_RECENCY_WEIGHT') ?? 0.5
+  },
+  search: {
+    synonymsCacheTtlMs: envNumber('SEARCH_SYNONYMS_CACHE_TTL_MS') ?? 60 * 1000,
+    // pg_trgm similarity a title word needs to replace a query token ("did you mean").
+    fuzzyThreshold: envNumber('SEARCH_FUZZY_THRESHOLD') ?? 0.35,
+    fuzzyMinLength: envNumber('SEARCH_FUZZY_MIN_LENGTH') ?? 4
+  },
+  channelsCacheTtlMs: envNumber('CHANNELS_CACHE_TTL_MS') ?? 60 * 1000,
   logDir: process.env.LOG_DIR || path.join(__dirname, '..', 'logs'),
 };
-
-export const SKIP_CHANNELS = new Set([
-  '-1003191179900',
-  '-1002335639614',
-  '-1001313053355'
-]);
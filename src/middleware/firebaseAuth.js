@@ -0,0 +1,42 @@
+import { universalLog } from '../logger.js';
+import { verifyIdToken } from '../services/firebase.js';
+
+function sendAuthError(res, status, error) {
+  return res.status(status).json({ success: false, error });
+}
+
+function extractBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Any uid the client still sends (legacy payloads) must be the same as the verified one.
+function findUidMismatch(req, uid) {
+  const candidates = [req.query?.uid, req.body && typeof req.body === 'object' ? req.body.uid : undefined];
+  return candidates.some(v => v !== undefined && v !== null && v !== '' && String(v) !== uid);
+}
+
+export function requireFirebaseUser() {
+  return async (req, res, next) => {
+    const idToken = extractBearerToken(req);
+    if (!idToken) return sendAuthError(res, 401, 'missing_auth_token');
+
+    let decoded;
+    try {
+      decoded = await verifyIdToken(idToken);
+    } catch (err) {
+      universalLog('warn', 'firebase_id_token_rejected', { path: req.path, code: err?.code, error: err.message });
+      return sendAuthError(res, 401, 'invalid_auth_token');
+    }
+
+    if (findUidMismatch(req, decoded.uid)) {
+      universalLog('warn', 'firebase_uid_mismatch', { path: req.path, uid: decoded.uid });
+      return sendAuthError(res, 403, 'uid_mismatch');
+    }
+
+    req.uid = decoded.uid;
+    req.firebaseToken = decoded;
+    return next();
+  };
+}
@@ -0,0 +1,46 @@
+import { universalLog } from '../logger.js';
+import { getUserByUid } from '../services/postgres.js';
+
+export const ROLES = {
+  ADMIN: 'admin',
+  BANNER_EDITOR: 'banner_editor',
+  NOTIFICATION_SENDER: 'notification_sender'
+};
+
+function normalizeRoles(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(r => String(r).trim().toLowerCase()).filter(Boolean);
+}
+
+// Roles come from two places: Firebase custom claims (`admin: true`, `roles: [...]`)
+// and the `users.admin` / `users.roles` columns. Either source is enough.
+export async function resolveUserRoles(uid, claims = {}) {
+  const roles = new Set(normalizeRoles(claims.roles));
+  if (claims.admin === true) roles.add(ROLES.ADMIN);
+
+  const user = await getUserByUid(uid);
+  if (user?.admin === true) roles.add(ROLES.ADMIN);
+  for (const role of normalizeRoles(user?.roles)) roles.add(role);
+
+  return roles;
+}
+
+// Admins pass every check; everybody else needs at least one of `allowed`.
+export function requireRole(...allowed) {
+  return async (req, res, next) => {
+    if (!req.uid) return res.status(401).json({ success: false, error: 'missing_auth_token' });
+    try {
+      if (!req.roles) req.roles = await resolveUserRoles(req.uid, req.firebaseToken || {});
+      const permitted = req.roles.has(ROLES.ADMIN) || allowed.some(r => req.roles.has(r));
+      if (!permitted) {
+        universalLog('warn', 'role_check_denied', { uid: req.uid, path: req.path, required: allowed });
+        return res.status(403).json({ success: false, error: 'forbidden' });
+      }
+      return next();
+    } catch (err) {
+      universalLog('error', 'role_check_failed', { uid: req.uid, path: req.path, error: err.message });
+      return res.status(500).json({ success: false, error: 'Internal error' });
+    }
+  };
+}
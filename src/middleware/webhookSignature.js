@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+
+// Signatures already accepted inside the tolerance window, so a captured request
+// cannot be replayed while its timestamp is still fresh.
+const seenSignatures = new Map();
+
+function pruneSeen(nowSec, toleranceSec) {
+  for (const [sig, ts] of seenSignatures) {
+    if (Math.abs(nowSec - ts) > toleranceSec) seenSignatures.delete(sig);
+  }
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Expects `X-Signature-Timestamp: <unix seconds>` and `X-Signature: sha256=<hex>`, where
+// the HMAC-SHA256 covers `<timestamp>.<raw body>`. Any configured secret may match.
+export function verifyWebhookSignature({
+  secrets = config.manageOfferSignature.secrets,
+  required = config.manageOfferSignature.required,
+  toleranceSeconds = config.manageOfferSignature.toleranceSeconds
+} = {}) {
+  return (req, res, next) => {
+    if (!required) return next();
+    if (secrets.length === 0) {
+      universalLog('error', 'webhook_signature_no_secrets', { path: req.path });
+      return res.status(503).json({ ok: false, error: 'Signature verification not configured' });
+    }
+
+    const timestamp = Number(req.get('x-signature-timestamp'));
+    const header = String(req.get('x-signature') || '');
+    const provided = header.startsWith('sha256=') ? header.slice(7) : header;
+    if (!Number.isFinite(timestamp) || !provided) {
+      return res.status(401).json({ ok: false, error: 'Missing signature' });
+    }
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (Math.abs(nowSec - timestamp) > toleranceSeconds) {
+      universalLog('warn', 'webhook_signature_expired', { path: req.path, timestamp, now: nowSec });
+      return res.status(401).json({ ok: false, error: 'Signature timestamp outside tolerance' });
+    }
+
+    const rawBody = req.rawBody || Buffer.alloc(0);
+    const matched = secrets.some(secret => safeEqualHex(provided, signPayload(secret, timestamp, rawBody)));
+    if (!matched) {
+      universalLog('warn', 'webhook_signature_invalid', { path: req.path, timestamp });
+      return res.status(401).json({ ok: false, error: 'Invalid signature' });
+    }
+
+    pruneSeen(nowSec, toleranceSeconds);
+    if (seenSignatures.has(provided)) {
+      universalLog('warn', 'webhook_signature_replayed', { path: req.path, timestamp });
+      return res.status(409).json({ ok: false, error: 'Replayed request' });
+    }
+    seenSignatures.set(provided, timestamp);
+
+    return next();
+  };
+}
@@ -1,5 +1,4 @@
 import express from 'express';
-import schedule from 'node-schedule';
 import { config } from '../config.js';
 import { universalLog } from '../logger.js';
 import { toBool } from '../utils.js';
@@ -21,19 +20,46 @@ import {
   createBanner,
   updateBanner,
   deleteBanner,
-  getOfferById,
   getPool,
   getReferralCode
 } from '../services/postgres.js';
 import { getOffers } from '../services/offers.js';
+import { previewKeywordFavorite } from '../services/favoritesPreview.js';
+import { DELIVERY_MODES, getDigest } from '../services/digests.js';
+import { streamOffers } from '../services/offerStream.js';
 import { getAppInitConfig } from '../services/appInit.js';
-import { sendDataMessageToToken } from '../services/fcm.js';
+import { createChannel, deleteChannel, listChannels, updateChannel } from '../services/channels.js';
+import { createSynonym, deleteSynonym, listSynonyms, searchSuggestions, updateSynonym } from '../services/search.js';
+import { JOB_STATUSES, countJobsByStatus, enqueueOfferEvent, getJob, kickIngestionWorker, listJobs, retryDeadJob } from '../services/ingestionQueue.js';
+import { listOfferMerges, undoOfferMerge } from '../services/offerMatching.js';
+import { INTERVALS, getPriceHistory } from '../services/priceHistory.js';
+import { cacheTags } from '../services/cache.js';
+import { registerDeviceSafe } from '../services/devices.js';
+import { getNotificationSettings, updateNotificationSettings } from '../services/notificationPolicy.js';
 import { getAccessToken, getProjectId } from '../services/auth.js';
-import { withdrawNotificationByIdFanout } from '../services/notifications.js';
+import { manualNotificationError, sendManualNotification, withdrawNotificationByIdFanout } from '../services/notifications.js';
+import {
+  SCHEDULED_STATUSES,
+  cancelScheduledNotification,
+  createScheduledNotification,
+  getScheduledNotification,
+  listScheduledNotifications,
+  previewScheduledNotification,
+  updateScheduledNotification
+} from '../services/scheduledNotifications.js';
+import { publishInboxEvent } from '../services/inboxSocket.js';
 import { getFirebaseAuth } from '../services/firebase.js';
+import { requireFirebaseUser } from '../middleware/firebaseAuth.js';
+import { ROLES, requireRole } from '../middleware/roles.js';
 
 const router = express.Router();
 
+// Routes with `requireUser` need `Authorization: Bearer <idToken>` and read the caller
+// from `req.uid`; a `uid` still sent in the query or body must match the token or the call
+// is refused. The guard is mounted per route, so unknown paths still get a 404 and
+// Express' own path matching (trailing slash included) decides which routes are public.
+const requireUser = requireFirebaseUser();
+
 function sendError(res, status, error) {
   return res.status(status).json({ success: false, error });
 }
@@ -43,151 +69,50 @@ function logAnd500(res, tag, err) {
   return res.status(500).json({ success: false, error: 'Internal error' });
 }
 
-function optimizeAmazonImage(url) {
-  if (!url) return null;
-  if (url.includes('m.media-amazon.com')) {
-    return url.replace(/(\.[^.\/]+)$/i, '._SS250$1');
-  }
-  return url;
-}
-
 function toNumberOrNull(value) {
   if (value === undefined || value === null || value === '') return null;
   const n = Number(value);
   return Number.isNaN(n) ? null : n;
 }
 
-
-async function sendNotificationInternal(body) {
-  const type = body.type;
-  const [projectId, accessToken] = await Promise.all([getProjectId(), getAccessToken()]);
-  if (!projectId || !accessToken) throw new Error('FCM credentials not available');
-
-  let recipients = [];
-  let title, bodyText, data;
-  const uids = Array.isArray(body.uids) ? body.uids : null;
-
-  if (type === 'custom') {
-    if (!body.title || !body.body || !body.cta) throw new Error('title, body, cta are required for custom type');
-    title = body.title;
-    bodyText = body.body;
-    data = { calltoaction: body.cta, target: body.target || body.cta_target || body.cta };
-  } else if (type === 'offer') {
-    if (!body.offer_id) throw new Error('offer_id is required for offer type');
-    const offer = await getOfferById(body.offer_id);
-    if (!offer) throw new Error('offer not found');
-
-    title = `🔥 ${offer.title || 'Nuova Super Offerta!'}`;
-    bodyText = `A soli ${offer.price ?? '—'}€ invece di ${offer.old_price ?? '—'}€ (-${offer.perc ?? '—'}%)`;
-    const imageUrl = optimizeAmazonImage(offer.original_image);
-    data = { target: String(body.offer_id), calltoaction: 'offer_detail', special_offer: 'true', image: imageUrl };
-  }
-
-  // Get recipients
-  const client = await getPool().connect();
-  try {
-    let query, params = [];
-    if (type === 'custom') {
-      query = 'SELECT uid, token_fcm FROM "users" WHERE token_fcm IS NOT NULL';
-      if (uids) {
-        const placeholders = uids.map((_, idx) => `$${idx + 1}`).join(',');
-        query += ` AND uid IN (${placeholders})`;
-        params.push(...uids);
-      }
-    } else if (type === 'offer') {
-      query = 'SELECT uid, token_fcm FROM "users" WHERE superoffers = true AND token_fcm IS NOT NULL';
-      if (uids) {
-        const placeholders = uids.map((_, idx) => `$${idx + 1}`).join(',');
-        query += ` AND uid IN (${placeholders})`;
-        params.push(...uids);
-      }
-    }
-    const resQuery = await client.query(query, params);
-    recipients = resQuery.rows;
-  } finally {
-    client.release();
-  }
-
-  if (recipients.length === 0) {
-    return { sent: 0, total: 0, notificationId: null };
-  }
-
-  // Create notification record
-  let notificationId = null;
-  const client2 = await getPool().connect();
-  try {
-    const notifQuery = 'INSERT INTO "notifications" (offer_id, title, body, target, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id';
-    const notifValues = [
-      type === 'offer' ? body.offer_id : null,
-      title,
-      bodyText,
-      data.target || (type === 'offer' ? body.offer_id : body.cta),
-      new Date()
-    ];
-    const notifRes = await client2.query(notifQuery, notifValues);
-    notificationId = notifRes.rows[0].id;
-  } finally {
-    client2.release();
-  }
-
-  if (!notificationId) {
-    throw new Error('Failed to create notification');
-  }
-
-  const payloadBase = {
-    type: 'push',
-    notif_id: String(notificationId),
-    title,
-    body: bodyText,
-    ...data
+// Price-drop thresholds for `type = 'offer'` favorites. Only keys present in the body are
+// returned, so an update can leave the others untouched; null clears a threshold.
+function parsePriceDropThresholds(body) {
+  const aliases = {
+    target_price: ['target_price', 'targetPrice'],
+    min_drop_amount: ['min_drop_amount', 'minDropAmount'],
+    min_drop_percent: ['min_drop_percent', 'minDropPercent']
   };
-
-  const sendPromises = recipients.map(({ uid, token_fcm }) => (
-    (async () => {
-      try {
-        const result = await sendDataMessageToToken(projectId, token_fcm, payloadBase, accessToken);
-        return { uid, success: result.success };
-      } catch (err) {
-        universalLog('error', 'send_notification_failed', { uid, error: err.message });
-        return { uid, success: false };
-      }
-    })()
-  ));
-
-  const results = await Promise.allSettled(sendPromises);
-  const successfulSends = results
-    .filter(r => r.status === 'fulfilled' && r.value.success)
-    .map(r => r.value.uid);
-
-  // Insert per-user notification rows
-  if (successfulSends.length > 0) {
-    const client3 = await getPool().connect();
-    try {
-      const userNotifQuery = 'INSERT INTO "users_notifications" (uid, sent_at, notification_id, withdrawn, read, reason) VALUES ($1, $2, $3, $4, $5, $6)';
-      for (const uid of successfulSends) {
-        await client3.query(userNotifQuery, [uid, new Date(), notificationId, false, false, null]);
-      }
-    } finally {
-      client3.release();
-    }
+  const thresholds = {};
+  for (const [field, names] of Object.entries(aliases)) {
+    const name = names.find(n => body[n] !== undefined);
+    if (!name) continue;
+    const value = toNumberOrNull(body[name]);
+    if (value !== null && value < 0) return { error: `${field} must be positive` };
+    if (field === 'min_drop_percent' && value !== null && value > 100) return { error: 'min_drop_percent must be at most 100' };
+    thresholds[field] = value;
   }
+  return { thresholds };
+}
 
-  const successCount = successfulSends.length;
-  const failureCount = results.filter(r => r.status === 'fulfilled' && !r.value.success).length;
-
-  universalLog('info', 'send_notification_summary', { type, total: recipients.length, success: successCount, failure: failureCount, notificationId });
-
-  return { sent: successCount, total: recipients.length, notificationId };
+// `delivery_mode` of a keyword favorite: 'instant' pushes every match, the digest modes
+// collect them into one push a day or a week (services/digests.js). Undefined when absent.
+function parseDeliveryMode(body, type) {
+  const raw = body.delivery_mode ?? body.deliveryMode;
+  if (raw === undefined || raw === null || raw === '') return {};
+  const deliveryMode = String(raw).trim().toLowerCase();
+  if (!DELIVERY_MODES.includes(deliveryMode)) return { error: 'invalid_delivery_mode' };
+  if (type !== 'keyword' && deliveryMode !== 'instant') return { error: 'delivery_mode_only_for_keyword_favorites' };
+  return { deliveryMode };
 }
 
-router.post('/users-upsert', async (req, res) => {
+router.post('/users-upsert', requireUser, async (req, res) => {
   const body = req.body || {};
-  if (!body.uid) return sendError(res, 400, 'uid is required');
   try {
     // "affiliazione" is an alias for the `promotions` column (legacy payload support)
     const promotions = body.promotions !== undefined ? body.promotions : body.affiliazione;
     const payload = {
-      uid: body.uid,
+      uid: req.uid,
       email: body.email,
       display_name: body.display_name,
       photo_url: body.photo_url,
@@ -198,16 +123,16 @@ router.post('/users-upsert', async (req, res) => {
       token_fcm: body.token_fcm
     };
     const result = await upsertUser(payload);
+    if (result.success) await registerDeviceSafe(req.uid, body);
     return res.json({ success: result.success });
   } catch (err) {
     return logAnd500(res, 'users_upsert_failed', err);
   }
 });
 
-router.post('/users-update', async (req, res) => {
+router.post('/users-update', requireUser, async (req, res) => {
   const body = req.body || {};
-  const uid = body.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+  const uid = req.uid;
   try {
     // "affiliazione" is an alias for the `promotions` column (legacy payload support)
     const promotions = body.promotions !== undefined ? body.promotions : body.affiliazione;
@@ -229,17 +154,41 @@ router.post('/users-update', async (req, res) => {
       email: body.email,
       photo_url: body.photo_url
     };
+    // A body with only `device` is a device check-in, not an empty update.
+    const device = await registerDeviceSafe(uid, body);
     const result = await updateUser(uid, updates);
-    if (result.reason === 'no_fields') return sendError(res, 400, 'no fields to update');
+    if (result.reason === 'no_fields') {
+      if (device?.success) return res.json({ success: true });
+      return sendError(res, 400, 'no fields to update');
+    }
     return res.json({ success: result.success });
   } catch (err) {
     return logAnd500(res, 'users_update_failed', err);
   }
 });
 
-router.get('/users', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/notification-settings', requireUser, async (req, res) => {
+  try {
+    const settings = await getNotificationSettings(req.uid);
+    return res.json({ success: true, settings });
+  } catch (err) {
+    return logAnd500(res, 'notification_settings_get_failed', err);
+  }
+});
+
+// Quiet hours ("HH:MM" in `timezone`) and per-type caps; null resets a field to the default.
+router.post('/notification-settings-update', requireUser, async (req, res) => {
+  try {
+    const result = await updateNotificationSettings(req.uid, req.body || {});
+    if (!result.success) return sendError(res, 400, result.reason);
+    return res.json({ success: true, settings: result.row });
+  } catch (err) {
+    return logAnd500(res, 'notification_settings_update_failed', err);
+  }
+});
+
+router.get('/users', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const user = await getUserByUid(uid);
     return res.json({ user });
@@ -248,9 +197,8 @@ router.get('/users', async (req, res) => {
   }
 });
 
-router.get('/verified-email', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/verified-email', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const auth = getFirebaseAuth();
     const userRecord = await auth.getUser(uid);
@@ -264,9 +212,8 @@ router.get('/verified-email', async (req, res) => {
   }
 });
 
-router.get('/get-user-referral-code', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/get-user-referral-code', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const referralCode = await getReferralCode(uid);
     return res.json({ referral_code: referralCode });
@@ -275,9 +222,8 @@ router.get('/get-user-referral-code', async (req, res) => {
   }
 });
 
-router.get('/has-used-code', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/has-used-code', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const user = await getUserByUid(uid);
     const hasUsed = user?.used_code != null && user.used_code !== '';
@@ -287,9 +233,8 @@ router.get('/has-used-code', async (req, res) => {
   }
 });
 
-router.get('/invited-users', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/invited-users', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     // Get user's referral code
     const referralCode = await getReferralCode(uid);
@@ -314,9 +259,8 @@ router.get('/invited-users', async (req, res) => {
   }
 });
 
-router.get('/invite-position', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/invite-position', requireUser, async (req, res) => {
+  const uid = req.uid;
 
   try {
     const client = await getPool().connect();
@@ -363,12 +307,11 @@ router.get('/invite-position', async (req, res) => {
   }
 });
 
-router.post('/use-code', async (req, res) => {
+router.post('/use-code', requireUser, async (req, res) => {
   const body = req.body || {};
-  const uid = body.uid;
+  const uid = req.uid;
   const code = (body.code || '').trim().toUpperCase();
   
-  if (!uid) return sendError(res, 400, 'uid is required');
   if (!code) return sendError(res, 400, 'code is required');
 
   try {
@@ -419,11 +362,8 @@ router.post('/use-code', async (req, res) => {
   }
 });
 
-router.post('/request-email-verification', async (req, res) => {
-  const body = req.body || {};
-  const uid = body.uid;
-  
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.post('/request-email-verification', requireUser, async (req, res) => {
+  const uid = req.uid;
 
   try {
     const auth = getFirebaseAuth();
@@ -442,12 +382,12 @@ router.post('/request-email-verification', async (req, res) => {
   }
 });
 
-router.post('/favorites-add', async (req, res) => {
+router.post('/favorites-add', requireUser, async (req, res) => {
   const body = req.body || {};
-  const uid = body.uid;
+  const uid = req.uid;
   const type = body.type;
 
-  if (!uid || !type) return sendError(res, 400, 'uid and type are required');
+  if (!type) return sendError(res, 400, 'type is required');
 
   try {
     const queryRaw = (body.key ?? '').toString().trim();
@@ -473,6 +413,14 @@ router.post('/favorites-add', async (req, res) => {
       return sendError(res, 400, 'key is required');
     }
 
+    const { thresholds, error } = parsePriceDropThresholds(body);
+    if (error) return sendError(res, 400, error);
+    if (type !== 'offer' && Object.keys(thresholds).length > 0) {
+      return sendError(res, 400, 'thresholds_only_for_offer_favorites');
+    }
+    const { deliveryMode, error: deliveryModeError } = parseDeliveryMode(body, type);
+    if (deliveryModeError) return sendError(res, 400, deliveryModeError);
+
     const result = await addFavorite({
       uid,
       key: queryRaw,
@@ -482,6 +430,8 @@ router.post('/favorites-add', async (req, res) => {
       min_price: minPrice,
       max_price: maxPrice,
       min_discount: minDiscount,
+      ...thresholds,
+      delivery_mode: deliveryMode || 'instant',
     });
 
     return res.json({ success: result.success, key: queryRaw });
@@ -490,12 +440,34 @@ router.post('/favorites-add', async (req, res) => {
   }
 });
 
-router.post('/favorites-update', async (req, res) => {
+// Offers a keyword favorite would have matched before saving it. Takes the same body as
+// /favorites-add (type is implied).
+router.post('/favorites-preview', requireUser, async (req, res) => {
   const body = req.body || {};
-  const uid = body.uid;
-  const type = body.type || 'keyword';
+  const key = (body.key ?? '').toString().trim();
+  const favorite = {
+    key,
+    category: (body.category ?? null)?.toString().trim() || null,
+    store: (body.store ?? null)?.toString().trim() || null,
+    min_price: toNumberOrNull(body.min_price ?? body.minPrice),
+    max_price: toNumberOrNull(body.max_price ?? body.maxPrice),
+    min_discount: toNumberOrNull(body.min_discount ?? body.minDiscount),
+  };
+  if (!key) return sendError(res, 400, 'key is required');
+  const limit = Math.min(Math.max(parseInt(body.limit, 10) || config.favoritesPreview.defaultLimit, 1), 100);
+
+  try {
+    const preview = await previewKeywordFavorite(favorite, { limit });
+    return res.json({ success: true, ...preview });
+  } catch (err) {
+    return logAnd500(res, 'favorites_preview_failed', err);
+  }
+});
 
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.post('/favorites-update', requireUser, async (req, res) => {
+  const body = req.body || {};
+  const uid = req.uid;
+  const type = body.type || 'keyword';
 
   try {
     const oldKey = (body.old_key ?? body.oldKey ?? '').toString().trim();
@@ -536,6 +508,14 @@ router.post('/favorites-update', async (req, res) => {
       return sendError(res, 400, 'key is required');
     }
 
+    const { thresholds, error } = parsePriceDropThresholds(body);
+    if (error) return sendError(res, 400, error);
+    if (type !== 'offer' && Object.keys(thresholds).length > 0) {
+      return sendError(res, 400, 'thresholds_only_for_offer_favorites');
+    }
+    const { deliveryMode, error: deliveryModeError } = parseDeliveryMode(body, type);
+    if (deliveryModeError) return sendError(res, 400, deliveryModeError);
+
     const result = await updateFavorite({
       uid,
       oldKey,
@@ -550,6 +530,8 @@ router.post('/favorites-update', async (req, res) => {
       newMinPrice: newMinPrice,
       newMaxPrice: newMaxPrice,
       newMinDiscount: newMinDiscount,
+      thresholds,
+      deliveryMode,
       type,
     });
 
@@ -563,21 +545,20 @@ router.post('/favorites-update', async (req, res) => {
   }
 });
 
-router.post('/favorites-remove', async (req, res) => {
+router.post('/favorites-remove', requireUser, async (req, res) => {
   const body = req.body || {};
   const key = body.key ?? body.id ?? body.search_id ?? body.searchId;
-  if (!body.uid || !key) return sendError(res, 400, 'uid and key are required');
+  if (!key) return sendError(res, 400, 'key is required');
   try {
-    const result = await removeFavorite({ uid: body.uid, key, type: body.type });
+    const result = await removeFavorite({ uid: req.uid, key, type: body.type });
     return res.json({ success: result.success });
   } catch (err) {
     return logAnd500(res, 'favorites_remove_failed', err);
   }
 });
 
-router.get('/favorites-list', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/favorites-list', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const rows = await listFavorites({ uid, type: req.query?.type || null });
     const mapped = rows.map(row => {
@@ -596,6 +577,7 @@ router.get('/favorites-list', async (req, res) => {
         minDiscount: row.min_discount ?? null,
         brand: row.store ?? null,
         sortBy: null,
+        deliveryMode: row.delivery_mode ?? 'instant',
       };
 
       return {
@@ -612,9 +594,21 @@ router.get('/favorites-list', async (req, res) => {
   }
 });
 
-router.get('/notifications-list', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+// The offers listed by a saved-search digest; its inbox entry has the digest id as target.
+router.get('/favorites-digest', requireUser, async (req, res) => {
+  const id = parseInt(req.query?.id, 10);
+  if (!Number.isInteger(id) || id <= 0) return sendError(res, 400, 'id is required');
+  try {
+    const digest = await getDigest(req.uid, id);
+    if (!digest) return sendError(res, 404, 'digest_not_found');
+    return res.json({ success: true, digest });
+  } catch (err) {
+    return logAnd500(res, 'favorites_digest_failed', err);
+  }
+});
+
+router.get('/notifications-list', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const limit = req.query?.limit || 200;
     const since = req.query?.since || null;
@@ -625,9 +619,8 @@ router.get('/notifications-list', async (req, res) => {
   }
 });
 
-router.get('/notifications-unread-count', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/notifications-unread-count', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const result = await countUnreadNotifications({ uid });
     if (!result.success) return sendError(res, 500, result.error || 'Failed');
@@ -637,9 +630,8 @@ router.get('/notifications-unread-count', async (req, res) => {
   }
 });
 
-router.get('/notifications-unread-count-by-reason', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/notifications-unread-count-by-reason', requireUser, async (req, res) => {
+  const uid = req.uid;
   try {
     const result = await countUnreadNotificationsByReason({ uid });
     if (!result.success) return sendError(res, 500, result.error || 'Failed');
@@ -649,9 +641,8 @@ router.get('/notifications-unread-count-by-reason', async (req, res) => {
   }
 });
 
-router.get('/notifications-by-reason', async (req, res) => {
-  const uid = req.query?.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+router.get('/notifications-by-reason', requireUser, async (req, res) => {
+  const uid = req.uid;
   
   try {
     const key = req.query?.key !== undefined ? req.query.key : undefined;
@@ -680,16 +671,16 @@ router.get('/notifications-by-reason', async (req, res) => {
   }
 });
 
-router.post('/read-notification', async (req, res) => {
+router.post('/read-notification', requireUser, async (req, res) => {
   const body = req.body || {};
-  const uid = body.uid;
-  if (!uid) return sendError(res, 400, 'uid is required');
+  const uid = req.uid;
 
   try {
     const readAll = body.all === true || body.read_all === true;
     if (readAll) {
       const result = await markAllNotificationsRead({ uid });
       if (!result.success) return sendError(res, 500, result.error || 'Failed');
+      if (result.updated > 0) await publishInboxEvent([uid], { type: 'read', all: true });
       return res.json({ success: true, updated: result.updated, all: true });
     }
 
@@ -699,6 +690,7 @@ router.post('/read-notification', async (req, res) => {
 
     const result = await markNotificationRead({ uid, notificationId });
     if (!result.success) return sendError(res, 500, result.error || 'Failed');
+    if (result.updated > 0) await publishInboxEvent([uid], { type: 'read', notification_id: notificationId });
     return res.json({ success: true, updated: result.updated, notification_id: notificationId });
   } catch (err) {
     return logAnd500(res, 'read_notification_failed', err);
@@ -720,7 +712,7 @@ router.get('/banners', async (req, res) => {
   }
 });
 
-router.post('/banners-create', async (req, res) => {
+router.post('/banners-create', requireUser, requireRole(ROLES.BANNER_EDITOR), async (req, res) => {
   const body = req.body || {};
   if (!body.location) return sendError(res, 400, 'location is required');
   try {
@@ -731,7 +723,7 @@ router.post('/banners-create', async (req, res) => {
   }
 });
 
-router.post('/banners-update', async (req, res) => {
+router.post('/banners-update', requireUser, requireRole(ROLES.BANNER_EDITOR), async (req, res) => {
   const body = req.body || {};
   if (!body.id) return sendError(res, 400, 'id is required');
   try {
@@ -743,7 +735,7 @@ router.post('/banners-update', async (req, res) => {
   }
 });
 
-router.post('/banners-delete', async (req, res) => {
+router.post('/banners-delete', requireUser, requireRole(ROLES.BANNER_EDITOR), async (req, res) => {
   const body = req.body || {};
   if (!body.id) return sendError(res, 400, 'id is required');
   try {
@@ -754,29 +746,20 @@ router.post('/banners-delete', async (req, res) => {
   }
 });
 
-router.post('/send-notification', async (req, res) => {
+router.post('/send-notification', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
   const body = req.body || {};
-  const type = body.type;
-  if (!type || (type !== 'custom' && type !== 'offer')) return sendError(res, 400, 'type must be "custom" or "offer"');
+  const error = manualNotificationError(body);
+  if (error) return sendError(res, 400, error);
 
   try {
     if (body.scheduledAt) {
-      // Schedule the notification
-      const scheduledDate = new Date(body.scheduledAt);
-      if (isNaN(scheduledDate.getTime())) return sendError(res, 400, 'Invalid scheduledAt date');
-
-      schedule.scheduleJob(scheduledDate, async () => {
-        try {
-          await sendNotificationInternal(body);
-        } catch (err) {
-          universalLog('error', 'scheduled_notification_failed', { error: err.message, body });
-        }
-      });
-
-      return res.json({ success: true, scheduled: true, scheduledAt: body.scheduledAt });
+      // Stored and sent by the scheduled notifications worker (services/scheduledNotifications.js)
+      const result = await createScheduledNotification(body, { createdBy: req.uid });
+      if (!result.success) return sendError(res, 400, result.reason);
+      return res.json({ success: true, scheduled: true, scheduledAt: result.row.scheduled_at, id: result.row.id });
     } else {
       // Send immediately
-      const result = await sendNotificationInternal(body);
+      const result = await sendManualNotification(body);
       return res.json({ success: true, ...result });
     }
   } catch (err) {
@@ -784,7 +767,72 @@ router.post('/send-notification', async (req, res) => {
   }
 });
 
-router.post('/retract-notification', async (req, res) => {
+router.get('/scheduled-notifications', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
+  const status = req.query?.status || null;
+  if (status && !SCHEDULED_STATUSES.includes(status)) return sendError(res, 400, `status must be one of ${SCHEDULED_STATUSES.join(', ')}`);
+  try {
+    const rows = await listScheduledNotifications({ status, limit: req.query?.limit || 50 });
+    return res.json({ rows });
+  } catch (err) {
+    return logAnd500(res, 'scheduled_notifications_list_failed', err);
+  }
+});
+
+router.get('/scheduled-notification', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
+  const id = Number(req.query?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const row = await getScheduledNotification(id);
+    if (!row) return sendError(res, 404, 'scheduled_notification_not_found');
+    return res.json({ row });
+  } catch (err) {
+    return logAnd500(res, 'scheduled_notification_get_failed', err);
+  }
+});
+
+// Same body as /send-notification; only the fields sent are changed.
+router.post('/scheduled-notifications-update', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const { id: _id, ...changes } = req.body;
+    const result = await updateScheduledNotification(id, changes);
+    if (result.reason === 'not_found') return sendError(res, 404, 'scheduled_notification_not_found');
+    if (result.reason === 'not_pending') return sendError(res, 409, 'scheduled_notification_not_pending');
+    if (!result.success) return sendError(res, 400, result.reason);
+    return res.json({ success: true, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'scheduled_notifications_update_failed', err);
+  }
+});
+
+router.post('/scheduled-notifications-cancel', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const result = await cancelScheduledNotification(id, { cancelledBy: req.uid });
+    if (result.reason === 'not_found') return sendError(res, 404, 'scheduled_notification_not_found');
+    if (!result.success) return sendError(res, 409, 'scheduled_notification_not_pending');
+    return res.json({ success: true, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'scheduled_notifications_cancel_failed', err);
+  }
+});
+
+// Title, body and data as they would be sent now, plus the current recipient count.
+router.get('/scheduled-notifications-preview', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
+  const id = Number(req.query?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const result = await previewScheduledNotification(id);
+    if (!result) return sendError(res, 404, 'scheduled_notification_not_found');
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return logAnd500(res, 'scheduled_notifications_preview_failed', err);
+  }
+});
+
+router.post('/retract-notification', requireUser, requireRole(ROLES.NOTIFICATION_SENDER), async (req, res) => {
   const rawId = req.body?.notification_id ?? req.body?.notif_id ?? req.body?.id;
   const notificationId = Number(rawId);
   if (!notificationId || Number.isNaN(notificationId)) return sendError(res, 400, 'notification_id is required');
@@ -800,6 +848,182 @@ router.post('/retract-notification', async (req, res) => {
   }
 });
 
+router.get('/channels', requireUser, requireRole(), async (req, res) => {
+  try {
+    const rows = await listChannels();
+    return res.json({ rows });
+  } catch (err) {
+    return logAnd500(res, 'channels_list_failed', err);
+  }
+});
+
+router.post('/channels-create', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  const channelId = String(body.channel_id ?? '').trim();
+  if (!channelId) return sendError(res, 400, 'channel_id is required');
+  try {
+    const result = await createChannel({ ...body, channel_id: channelId });
+    if (result.reason === 'channel_id_required') return sendError(res, 400, 'channel_id is required');
+    if (result.reason === 'already_exists') return sendError(res, 409, 'channel_already_exists');
+    if (result.reason === 'invalid_priority') return sendError(res, 400, 'priority must be an integer');
+    return res.json({ success: result.success, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'channels_create_failed', err);
+  }
+});
+
+router.post('/channels-update', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  const channelId = String(body.channel_id ?? '').trim();
+  if (!channelId) return sendError(res, 400, 'channel_id is required');
+  try {
+    const result = await updateChannel(channelId, body);
+    if (result.reason === 'no_fields') return sendError(res, 400, 'no fields to update');
+    if (result.reason === 'invalid_priority') return sendError(res, 400, 'priority must be an integer');
+    if (!result.success) return sendError(res, 404, 'channel_not_found');
+    return res.json({ success: true, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'channels_update_failed', err);
+  }
+});
+
+router.post('/channels-delete', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  const channelId = String(body.channel_id ?? '').trim();
+  if (!channelId) return sendError(res, 400, 'channel_id is required');
+  try {
+    const result = await deleteChannel(channelId);
+    return res.json({ success: result.success });
+  } catch (err) {
+    return logAnd500(res, 'channels_delete_failed', err);
+  }
+});
+
+router.get('/search-synonyms', requireUser, requireRole(), async (req, res) => {
+  try {
+    const rows = await listSynonyms();
+    return res.json({ rows });
+  } catch (err) {
+    return logAnd500(res, 'search_synonyms_list_failed', err);
+  }
+});
+
+function sendSynonymError(res, reason) {
+  if (reason === 'term_required') return sendError(res, 400, 'term is required');
+  if (reason === 'synonyms_required') return sendError(res, 400, 'synonyms must contain at least one entry');
+  if (reason === 'already_exists') return sendError(res, 409, 'synonym_term_already_exists');
+  if (reason === 'no_fields') return sendError(res, 400, 'no fields to update');
+  return null;
+}
+
+router.post('/search-synonyms-create', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  try {
+    const result = await createSynonym(body);
+    if (result.reason) return sendSynonymError(res, result.reason);
+    return res.json({ success: result.success, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'search_synonyms_create_failed', err);
+  }
+});
+
+router.post('/search-synonyms-update', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  if (!body.id) return sendError(res, 400, 'id is required');
+  try {
+    const result = await updateSynonym(body.id, body);
+    if (result.reason) return sendSynonymError(res, result.reason);
+    if (!result.success) return sendError(res, 404, 'synonym_not_found');
+    return res.json({ success: true, row: result.row });
+  } catch (err) {
+    return logAnd500(res, 'search_synonyms_update_failed', err);
+  }
+});
+
+router.post('/search-synonyms-delete', requireUser, requireRole(), async (req, res) => {
+  const body = req.body || {};
+  if (!body.id) return sendError(res, 400, 'id is required');
+  try {
+    const result = await deleteSynonym(body.id);
+    return res.json({ success: result.success });
+  } catch (err) {
+    return logAnd500(res, 'search_synonyms_delete_failed', err);
+  }
+});
+
+router.get('/ingestion-jobs', requireUser, requireRole(), async (req, res) => {
+  const status = req.query?.status || null;
+  if (status && !JOB_STATUSES.includes(status)) return sendError(res, 400, `status must be one of ${JOB_STATUSES.join(', ')}`);
+  try {
+    const [rows, counts] = await Promise.all([
+      listJobs({ status, code: req.query?.code || null, limit: req.query?.limit || 50 }),
+      countJobsByStatus()
+    ]);
+    return res.json({ counts, rows });
+  } catch (err) {
+    return logAnd500(res, 'ingestion_jobs_list_failed', err);
+  }
+});
+
+router.get('/ingestion-job', requireUser, requireRole(), async (req, res) => {
+  const id = Number(req.query?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const job = await getJob(id);
+    if (!job) return sendError(res, 404, 'job_not_found');
+    return res.json({ job });
+  } catch (err) {
+    return logAnd500(res, 'ingestion_job_get_failed', err);
+  }
+});
+
+router.post('/ingestion-jobs-retry', requireUser, requireRole(), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const result = await retryDeadJob(id);
+    if (!result.success) return sendError(res, 404, 'dead_job_not_found');
+    return res.json({ success: true, id });
+  } catch (err) {
+    return logAnd500(res, 'ingestion_jobs_retry_failed', err);
+  }
+});
+
+router.get('/offer-merges', requireUser, requireRole(), async (req, res) => {
+  try {
+    const rows = await listOfferMerges({
+      offerId: req.query?.offer_id || null,
+      code: req.query?.code || null,
+      includeUndone: toBool(req.query?.include_undone),
+      limit: req.query?.limit || 100
+    });
+    return res.json({ rows });
+  } catch (err) {
+    return logAnd500(res, 'offer_merges_list_failed', err);
+  }
+});
+
+// Undoing a merge restores the canonical offer if the alias overwrote it, and replays the
+// alias code's latest post (without notifications) so it comes back as an offer of its own.
+router.post('/offer-merges-undo', requireUser, requireRole(), async (req, res) => {
+  const id = Number(req.body?.id);
+  if (!id || Number.isNaN(id)) return sendError(res, 400, 'id is required');
+  try {
+    const result = await undoOfferMerge(id, req.uid);
+    if (!result.success) return sendError(res, 404, 'merge_not_found');
+
+    let jobId = null;
+    if (result.merge.payload) {
+      const job = await enqueueOfferEvent(result.merge.payload, { idempotencyKey: `merge-undo-${id}`, replay: true });
+      jobId = job.id;
+      kickIngestionWorker();
+    }
+    return res.json({ success: true, id, restored: result.restored, job_id: jobId });
+  } catch (err) {
+    return logAnd500(res, 'offer_merges_undo_failed', err);
+  }
+});
+
 router.get('/app-init', async (req, res) => {
   try {
     const cfg = await getAppInitConfig();
@@ -813,18 +1037,46 @@ router.get('/app-init', async (req, res) => {
 
 router.get('/offers', getOffers);
 
+// Server-Sent Events: created / edited / expired / deleted offers as they happen.
+// Optional filters: main_category, store (comma-separated) and q (words in the title).
+router.get('/stream/offers', streamOffers);
+
+router.get('/offers/:id/price-history', async (req, res) => {
+  const offerId = String(req.params.id || '').trim();
+  if (!offerId) return sendError(res, 400, 'id is required');
+
+  const interval = req.query?.interval || 'raw';
+  if (!(interval in INTERVALS)) return sendError(res, 400, `interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+
+  const parseDate = value => {
+    if (value === undefined || value === '') return null;
+    const d = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+  };
+  const from = parseDate(req.query?.from);
+  const to = parseDate(req.query?.to);
+  if (from === undefined || to === undefined) return sendError(res, 400, 'from and to must be dates or epoch milliseconds');
+  if (from && to && from > to) return sendError(res, 400, 'from must be before to');
+
+  const lowestDays = Math.min(Math.max(parseInt(req.query?.lowest_days || '30', 10) || 30, 1), 365);
+
+  try {
+    const history = await getPriceHistory(offerId, { from, to, interval, lowestDays });
+    if (!history) return sendError(res, 404, 'offer_not_found');
+    res.set('Cache-Tag', cacheTags.offer(offerId));
+    return res.json({ success: true, offer_id: offerId, ...history });
+  } catch (err) {
+    return logAnd500(res, 'price_history_failed', err);
+  }
+});
+
 router.get('/search-suggestions', async (req, res) => {
   const q = (req.query.q || '').trim();
   if (q === '') return res.json({ suggestions: [] });
 
   try {
-    const pool = getPool();
-    const result = await pool.query(
-      `SELECT DISTINCT title FROM offers WHERE title_search_vector @@ websearch_to_tsquery('italian', $1) LIMIT 10`,
-      [q]
-    );
-    const suggestions = result.rows.map(r => r.title);
-    res.json({ suggestions });
+    const { suggestions, didYouMean } = await searchSuggestions(q);
+    res.json({ suggestions, didYouMean });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
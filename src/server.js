@@ -4,15 +4,25 @@ import { config } from './config.js';
 import manageOfferRouter from './routes/manageOffer.js';
 import apiRouter from './routes/api.js';
 import { universalLog } from './logger.js';
+import { startIngestionWorker } from './services/ingestionQueue.js';
+import { startDigestWorker } from './services/digests.js';
+import { startScheduledNotificationsWorker } from './services/scheduledNotifications.js';
+import { startOffersCacheInvalidation } from './services/offers.js';
+import { startOfferTotalsInvalidation } from './services/offerTotals.js';
+import { attachInboxSocket } from './services/inboxSocket.js';
 
 const app = express();
 app.use(cors({
   origin: (origin, callback) => callback(null, origin || '*'),
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Accept', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'Last-Event-ID'],
   maxAge: 86400
 }));
-app.use(express.json({ limit: '2mb' }));
+app.use(express.json({
+  limit: '2mb',
+  // Keep the exact bytes around: webhook signatures are computed over the raw body.
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(manageOfferRouter);
 app.use(apiRouter);
 
@@ -25,6 +35,13 @@ app.use((err, req, res, next) => {
   res.status(500).json({ ok: false, error: 'Internal error' });
 });
 
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
   universalLog('info', 'server_started', { port: config.port });
+  startIngestionWorker();
+  startOffersCacheInvalidation();
+  startOfferTotalsInvalidation();
+  startDigestWorker();
+  startScheduledNotificationsWorker();
 });
+
+attachInboxSocket(server);
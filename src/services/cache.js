@@ -2,19 +2,40 @@ import fetch from 'node-fetch';
 import { config } from '../config.js';
 import { universalLog } from '../logger.js';
 
-export async function purgeCache() {
+const purgeUrl = () => `https://api.cloudflare.com/client/v4/zones/${config.cloudflare.zoneId}/purge_cache`;
+
+function slug(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Cache-Tag values shared by the responses that set them (services/offers.js) and the
+// purges below.
+export const cacheTags = {
+  offers: 'offers',
+  home: 'offers-home',
+  search: 'offers-search',
+  offer: id => `offer-${slug(id)}`,
+  mainCategory: name => `main-category-${slug(name) || 'none'}`,
+  category: name => `category-${slug(name) || 'none'}`
+};
+
+async function sendPurge(body) {
   if (!config.cloudflare.zoneId || !config.cloudflare.apiToken) {
     universalLog('warn', 'cloudflare_missing_config', {});
     return { success: false, error: 'missing config' };
   }
-  const url = `https://api.cloudflare.com/client/v4/zones/${config.cloudflare.zoneId}/purge_cache`;
-  const res = await fetch(url, {
+  const res = await fetch(purgeUrl(), {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${config.cloudflare.apiToken}`
     },
-    body: JSON.stringify({ purge_everything: true })
+    body: JSON.stringify(body)
   });
   const text = await res.text();
   const ok = res.ok;
@@ -23,3 +44,111 @@ export async function purgeCache() {
   }
   return { success: ok, response: text };
 }
+
+// Whole-zone purge: kept for manual use, offer writes go through queueOfferPurge().
+export async function purgeCache() {
+  return sendPurge({ purge_everything: true });
+}
+
+function fillTemplate(template, values) {
+  let missing = false;
+  const url = template.replace(/\{(\w+)\}/g, (_, name) => {
+    const v = values[name];
+    if (v === null || v === undefined || v === '') {
+      missing = true;
+      return '';
+    }
+    return encodeURIComponent(String(v));
+  });
+  return missing ? null : url;
+}
+
+// Everything a change to one offer can make stale: its own entry, the feeds of its
+// category and main_category before and after the change, the home feed and searches.
+export function offerPurgeTargets({ offerId, before = null, after = null }) {
+  const mainCategories = new Set();
+  const categories = new Set();
+  for (const row of [before, after]) {
+    if (!row) continue;
+    if (row.main_category) mainCategories.add(String(row.main_category));
+    if (row.category) categories.add(String(row.category));
+  }
+
+  const tags = new Set([cacheTags.home, cacheTags.search]);
+  if (offerId) tags.add(cacheTags.offer(offerId));
+  for (const c of mainCategories) tags.add(cacheTags.mainCategory(c));
+  for (const c of categories) tags.add(cacheTags.category(c));
+
+  const urls = new Set();
+  const base = config.cloudflare.publicBaseUrl.replace(/\/+$/, '');
+  if (base) {
+    const combos = [];
+    for (const main_category of mainCategories.size ? mainCategories : [null]) {
+      for (const category of categories.size ? categories : [null]) {
+        combos.push({ offer_id: offerId, main_category, category });
+      }
+    }
+    for (const template of config.cloudflare.purgeUrlTemplates) {
+      for (const values of combos) {
+        const url = fillTemplate(template.replace('{base}', base), values);
+        if (url) urls.add(url);
+      }
+    }
+  }
+
+  return { tags: [...tags], urls: [...urls] };
+}
+
+const pending = { tags: new Set(), urls: new Set() };
+let debounceTimer = null;
+let firstQueuedAt = null;
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+export async function flushPurgeQueue() {
+  if (debounceTimer) clearTimeout(debounceTimer);
+  debounceTimer = null;
+  firstQueuedAt = null;
+
+  const useTags = config.cloudflare.purgeMode === 'tags';
+  const items = useTags ? [...pending.tags] : [...pending.urls];
+  pending.tags.clear();
+  pending.urls.clear();
+  if (items.length === 0) return { success: true, requests: 0 };
+
+  const key = useTags ? 'tags' : 'files';
+  let failed = 0;
+  const batches = chunk(items, config.cloudflare.purgeBatchSize);
+  for (const batch of batches) {
+    try {
+      const res = await sendPurge({ [key]: batch });
+      if (!res.success) failed += 1;
+    } catch (err) {
+      failed += 1;
+      universalLog('error', 'cloudflare_purge_failed', { error: err.message, mode: key });
+    }
+  }
+  universalLog('info', 'cloudflare_purge_flushed', { mode: key, items: items.length, requests: batches.length, failed });
+  return { success: failed === 0, requests: batches.length };
+}
+
+// Offer writes arrive in bursts; collecting them for a short window turns many purges
+// into a few batched requests. A steady stream still flushes after purgeMaxWaitMs.
+export function queueOfferPurge(change) {
+  const { tags, urls } = offerPurgeTargets(change);
+  for (const t of tags) pending.tags.add(t);
+  for (const u of urls) pending.urls.add(u);
+
+  const now = Date.now();
+  if (firstQueuedAt === null) firstQueuedAt = now;
+  if (debounceTimer) clearTimeout(debounceTimer);
+  const waited = now - firstQueuedAt;
+  const delay = Math.max(0, Math.min(config.cloudflare.purgeDebounceMs, config.cloudflare.purgeMaxWaitMs - waited));
+  debounceTimer = setTimeout(() => {
+    flushPurgeQueue().catch(err => universalLog('error', 'cloudflare_purge_flush_failed', { error: err.message }));
+  }, delay);
+}
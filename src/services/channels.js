@@ -0,0 +1,157 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { toBool } from '../utils.js';
+import { getPool } from './postgres.js';
+
+export const DEFAULT_CHANNEL_PRIORITY = 3;
+
+const EDITABLE_FIELDS = ['display_name', 'priority', 'daily_offer', 'skip', 'default_category'];
+
+let cache = null;
+let cacheLoadedAt = 0;
+let loading = null;
+
+function defaultSettings(channelId) {
+  return {
+    channel_id: channelId,
+    display_name: null,
+    priority: DEFAULT_CHANNEL_PRIORITY,
+    daily_offer: false,
+    skip: false,
+    default_category: null
+  };
+}
+
+async function loadChannels() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT channel_id, display_name, priority, daily_offer, skip, default_category FROM channels');
+    const next = new Map();
+    for (const row of res.rows) next.set(String(row.channel_id), row);
+    cache = next;
+    cacheLoadedAt = Date.now();
+    return cache;
+  } finally {
+    client.release();
+  }
+}
+
+async function getChannelMap() {
+  const fresh = cache && Date.now() - cacheLoadedAt < config.channelsCacheTtlMs;
+  if (fresh) return cache;
+  if (!loading) {
+    loading = loadChannels()
+      .catch(err => {
+        // Keep serving the last known settings rather than failing ingestion. With none
+        // loaded yet the job fails and is retried: defaults would ingest skipped channels
+        // and flatten every priority.
+        universalLog('error', 'channels_load_failed', { error: err.message, cached: Boolean(cache) });
+        if (!cache) throw err;
+        return cache;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+export function invalidateChannelsCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+export async function getChannelSettings(channelId) {
+  const id = String(channelId || '');
+  const map = await getChannelMap();
+  const row = map.get(id);
+  if (!row) return defaultSettings(id);
+  return {
+    ...defaultSettings(id),
+    ...row,
+    priority: Number.isFinite(Number(row.priority)) ? Number(row.priority) : DEFAULT_CHANNEL_PRIORITY,
+    daily_offer: toBool(row.daily_offer),
+    skip: toBool(row.skip)
+  };
+}
+
+export async function getChannelPriority(channelId) {
+  return (await getChannelSettings(channelId)).priority;
+}
+
+function pickChannelFields(data) {
+  const out = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (data?.[field] === undefined) continue;
+    let val = data[field];
+    if (field === 'daily_offer' || field === 'skip') val = toBool(val);
+    else if (field === 'priority') val = val === null || val === '' ? DEFAULT_CHANNEL_PRIORITY : parseInt(val, 10);
+    else val = val === null || val === '' ? null : String(val);
+    out[field] = val;
+  }
+  return out;
+}
+
+export async function listChannels() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT * FROM channels ORDER BY priority ASC, channel_id ASC');
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+export async function createChannel(data) {
+  const channelId = String(data?.channel_id ?? '').trim();
+  if (!channelId) return { success: false, reason: 'channel_id_required' };
+  const payload = { channel_id: channelId, ...pickChannelFields(data) };
+  if (Number.isNaN(payload.priority)) return { success: false, reason: 'invalid_priority' };
+
+  const cols = Object.keys(payload);
+  const placeholders = cols.map((_, idx) => `$${idx + 1}`);
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO channels (${cols.map(c => `"${c}"`).join(',')}) VALUES (${placeholders.join(',')}) ON CONFLICT (channel_id) DO NOTHING RETURNING *`,
+      cols.map(c => payload[c])
+    );
+    if (res.rowCount === 0) return { success: false, reason: 'already_exists' };
+    invalidateChannelsCache();
+    return { success: true, row: res.rows[0] };
+  } finally {
+    client.release();
+  }
+}
+
+export async function updateChannel(channelId, data) {
+  const payload = pickChannelFields(data);
+  if (Number.isNaN(payload.priority)) return { success: false, reason: 'invalid_priority' };
+  const cols = Object.keys(payload);
+  if (cols.length === 0) return { success: false, reason: 'no_fields' };
+
+  const assignments = cols.map((c, idx) => `"${c}" = $${idx + 1}`);
+  const values = cols.map(c => payload[c]);
+  values.push(String(channelId));
+
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE channels SET ${assignments.join(', ')}, updated_at = now() WHERE channel_id = $${values.length} RETURNING *`,
+      values
+    );
+    invalidateChannelsCache();
+    return { success: res.rowCount > 0, row: res.rows[0] || null };
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteChannel(channelId) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('DELETE FROM channels WHERE channel_id = $1', [String(channelId)]);
+    invalidateChannelsCache();
+    return { success: res.rowCount > 0 };
+  } finally {
+    client.release();
+  }
+}
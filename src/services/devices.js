@@ -0,0 +1,111 @@
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+
+// Device registry: one row per FCM token, so every device a user is signed in on gets
+// pushes. users.token_fcm keeps whatever legacy clients last sent and is only used for
+// users with no registered device.
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+// WHERE condition on "users" keeping users listActiveDevices() finds a device for.
+export const USER_HAS_DEVICE_SQL = `(EXISTS (SELECT 1 FROM user_devices d WHERE d.uid = "users".uid AND d.enabled = true)
+  OR ("users".token_fcm IS NOT NULL AND NOT EXISTS (SELECT 1 FROM user_devices d WHERE d.uid = "users".uid OR d.token = "users".token_fcm)))`;
+
+function cleanText(value, maxLength = 64) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// Device fields from a /users-upsert or /users-update body: a `device` object, or the
+// flat legacy fields next to token_fcm. Null when the body carries no token.
+export function deviceFromBody(body) {
+  const device = body?.device && typeof body.device === 'object' ? body.device : body || {};
+  const token = cleanText(device.token ?? device.token_fcm ?? body?.token_fcm, 4096);
+  if (!token) return null;
+  const platform = cleanText(device.platform)?.toLowerCase() ?? null;
+  return {
+    token,
+    platform: PLATFORMS.includes(platform) ? platform : null,
+    app_version: cleanText(device.app_version ?? device.appVersion),
+    locale: cleanText(device.locale, 16),
+    enabled: device.enabled === undefined || device.enabled === null ? true : device.enabled !== false && device.enabled !== 'false'
+  };
+}
+
+// A token belongs to one device, so registering it again (even for another account
+// signed in on the same device) moves it and refreshes last_seen_at.
+export async function registerDevice(uid, device) {
+  if (!uid || !device?.token) return { success: false, reason: 'token_required' };
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO user_devices (uid, token, platform, app_version, locale, enabled, last_seen_at)
+       VALUES ($1, $2, $3, $4, $5, $6, now())
+       ON CONFLICT (token) DO UPDATE SET
+         uid = EXCLUDED.uid,
+         platform = COALESCE(EXCLUDED.platform, user_devices.platform),
+         app_version = COALESCE(EXCLUDED.app_version, user_devices.app_version),
+         locale = COALESCE(EXCLUDED.locale, user_devices.locale),
+         enabled = EXCLUDED.enabled,
+         last_seen_at = now()
+       RETURNING *`,
+      [uid, device.token, device.platform, device.app_version, device.locale, device.enabled]
+    );
+    return { success: true, row: res.rows[0] || null };
+  } finally {
+    client.release();
+  }
+}
+
+// Registration never fails the profile update it rides on.
+export async function registerDeviceSafe(uid, body) {
+  const device = deviceFromBody(body);
+  if (!device) return null;
+  try {
+    return await registerDevice(uid, device);
+  } catch (err) {
+    universalLog('error', 'device_register_failed', { uid, error: err.message });
+    return null;
+  }
+}
+
+// [{ uid, token }] for every enabled device of `uids`, plus users.token_fcm for users
+// with no registered device at all (unless that token has moved to another user).
+export async function listActiveDevices(uids) {
+  const list = Array.from(new Set((uids || []).filter(Boolean).map(String)));
+  if (list.length === 0) return [];
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT uid, token FROM user_devices WHERE uid = ANY($1) AND enabled = true
+       UNION
+       SELECT u.uid, u.token_fcm AS token FROM "users" u
+       WHERE u.uid = ANY($1) AND u.token_fcm IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM user_devices d WHERE d.uid = u.uid OR d.token = u.token_fcm)`,
+      [list]
+    );
+    const seen = new Set();
+    return res.rows.filter(r => {
+      const token = String(r.token || '').trim();
+      if (!token || seen.has(token)) return false;
+      seen.add(token);
+      r.token = token;
+      return true;
+    });
+  } finally {
+    client.release();
+  }
+}
+
+export async function disableDevices(tokens) {
+  const unique = Array.from(new Set((tokens || []).filter(Boolean)));
+  if (unique.length === 0) return 0;
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('UPDATE user_devices SET enabled = false WHERE token = ANY($1) AND enabled = true', [unique]);
+    return res.rowCount || 0;
+  } finally {
+    client.release();
+  }
+}
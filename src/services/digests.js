@@ -0,0 +1,278 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getAccessToken, getProjectId } from './auth.js';
+import { notifyUserAboutDigest } from './notifications.js';
+import { getPool } from './postgres.js';
+
+// Saved searches with delivery_mode 'daily_digest' or 'weekly_digest' get no push per
+// match: offer creation queues the match in favorite_digest_items, and this worker sends
+// one push (plus inbox entry) per user and period with the best offers still active.
+// A digest row is claimed per (uid, delivery_mode, period_start) before anything is
+// sent, so a period goes out at most once even with several instances running.
+
+export const DELIVERY_MODES = ['instant', 'daily_digest', 'weekly_digest'];
+export const DIGEST_MODES = ['daily_digest', 'weekly_digest'];
+
+let workerTimer = null;
+let workerRunning = false;
+let stopping = false;
+
+// `matches` are { favoriteId, uid }; the same offer is queued once per favorite.
+export async function queueDigestItems(offerId, matches) {
+  const rows = matches.filter(m => m.uid && m.favoriteId != null);
+  if (!offerId || rows.length === 0) return 0;
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO favorite_digest_items (uid, favorite_id, offer_id)
+       SELECT m.uid, m.favorite_id, $1
+       FROM unnest($2::text[], $3::bigint[]) AS m(uid, favorite_id)
+       ON CONFLICT (favorite_id, offer_id) DO NOTHING`,
+      [String(offerId), rows.map(m => m.uid), rows.map(m => m.favoriteId)]
+    );
+    return res.rowCount || 0;
+  } finally {
+    client.release();
+  }
+}
+
+// Users with queued matches whose current period has started: today at sendHour for
+// daily digests, the last weeklyDay at sendHour for weekly ones, both in the user's
+// timezone. Only matches made before that moment belong to the period; later ones wait
+// for the next one.
+async function findDueDigests() {
+  const { sendHour, weeklyDay, batchSize } = config.digests;
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `WITH pending AS (
+         SELECT i.uid, f.delivery_mode, min(i.matched_at) AS first_matched_at
+         FROM favorite_digest_items i
+         JOIN favorites f ON f.id = i.favorite_id
+         WHERE i.digest_id IS NULL AND f.delivery_mode = ANY($1)
+         GROUP BY i.uid, f.delivery_mode
+       ), local AS (
+         SELECT p.*, COALESCE(s.timezone, $2) AS tz, now() AT TIME ZONE COALESCE(s.timezone, $2) AS local_now
+         FROM pending p
+         LEFT JOIN user_notification_settings s ON s.uid = p.uid
+       ), slots AS (
+         SELECT l.*,
+           CASE WHEN l.delivery_mode = 'daily_digest'
+             THEN date_trunc('day', l.local_now) + make_interval(hours => $3::int)
+             ELSE date_trunc('day', l.local_now) - make_interval(days => (extract(dow FROM l.local_now)::int - $4::int + 7) % 7) + make_interval(hours => $3::int)
+           END AS slot_local
+         FROM local l
+       ), periods AS (
+         SELECT uid, delivery_mode, first_matched_at,
+           (CASE
+              WHEN slot_local <= local_now THEN slot_local
+              WHEN delivery_mode = 'daily_digest' THEN slot_local - interval '1 day'
+              ELSE slot_local - interval '7 days'
+            END) AT TIME ZONE tz AS period_start
+         FROM slots
+       )
+       SELECT p.uid, p.delivery_mode, p.period_start
+       FROM periods p
+       WHERE p.first_matched_at < p.period_start
+         AND NOT EXISTS (
+           SELECT 1 FROM favorite_digests d
+           WHERE d.uid = p.uid AND d.delivery_mode = p.delivery_mode AND d.period_start = p.period_start
+         )
+       ORDER BY p.period_start
+       LIMIT $5`,
+      [DIGEST_MODES, config.notificationPolicy.defaultTimezone, sendHour, weeklyDay, batchSize]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Creates the digest row and moves the period's queued matches onto it in one
+// transaction. Null when another instance already claimed the period.
+async function claimDigest({ uid, delivery_mode: deliveryMode, period_start: periodStart }) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const digestRes = await client.query(
+      `INSERT INTO favorite_digests (uid, delivery_mode, period_start)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (uid, delivery_mode, period_start) DO NOTHING
+       RETURNING id`,
+      [uid, deliveryMode, periodStart]
+    );
+    if (digestRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const digestId = digestRes.rows[0].id;
+    const itemsRes = await client.query(
+      `UPDATE favorite_digest_items i SET digest_id = $1
+       FROM favorites f
+       WHERE f.id = i.favorite_id AND f.delivery_mode = $2
+         AND i.uid = $3 AND i.digest_id IS NULL AND i.matched_at < $4
+       RETURNING i.offer_id`,
+      [digestId, deliveryMode, uid, periodStart]
+    );
+    await client.query('COMMIT');
+    return { id: digestId, uid, deliveryMode, offerIds: Array.from(new Set(itemsRes.rows.map(r => r.offer_id))) };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Best deals first: highest discount, then the most recent.
+async function loadActiveOffers(offerIds) {
+  if (offerIds.length === 0) return [];
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT * FROM offers
+       WHERE offer_id = ANY($1)
+         AND COALESCE(is_expired, false) = false
+         AND COALESCE(is_deleted, false) = false
+       ORDER BY perc DESC NULLS LAST, "timestamp" DESC`,
+      [offerIds]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+async function finishDigest(digestId, { notificationId = null, offerIds = [], matchedCount = 0, pushed = false }) {
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      'UPDATE favorite_digests SET notification_id = $2, offer_ids = $3, matched_count = $4, pushed = $5 WHERE id = $1',
+      [digestId, notificationId, offerIds, matchedCount, pushed]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+function digestText(deliveryMode, offers) {
+  const count = offers.length;
+  const period = deliveryMode === 'weekly_digest' ? 'questa settimana' : 'oggi';
+  const title = count === 1
+    ? `🔍 1 nuova offerta per le tue ricerche ${period}`
+    : `🔍 ${count} nuove offerte per le tue ricerche ${period}`;
+  const lines = offers.slice(0, config.digests.topN).map(o => `${o.title || 'Offerta'} a ${o.price ?? '—'}€ (-${o.perc ?? '—'}%)`);
+  if (count > lines.length) lines.push(`e altre ${count - lines.length}`);
+  return { title, body: lines.join('\n') };
+}
+
+async function sendDigest(projectId, accessToken, due) {
+  const digest = await claimDigest(due);
+  if (!digest) return null;
+  const context = { digestId: digest.id, uid: digest.uid, deliveryMode: digest.deliveryMode };
+
+  // The matches are consumed once claimed: a failure here loses this digest rather
+  // than risking a second one for the same period.
+  try {
+    const offers = await loadActiveOffers(digest.offerIds);
+    const top = offers.slice(0, config.digests.topN);
+    if (top.length === 0) {
+      await finishDigest(digest.id, {});
+      universalLog('info', 'digest_empty', { ...context, matched: digest.offerIds.length });
+      return { ...digest, pushed: false };
+    }
+
+    const { title, body } = digestText(digest.deliveryMode, offers);
+    const result = await notifyUserAboutDigest(projectId, accessToken, digest.uid, {
+      digestId: digest.id,
+      title,
+      body,
+      image: top[0].original_image
+    });
+    await finishDigest(digest.id, {
+      notificationId: result.notificationId,
+      offerIds: top.map(o => o.offer_id),
+      matchedCount: offers.length,
+      pushed: result.pushed
+    });
+    universalLog('info', 'digest_sent', { ...context, offers: offers.length, pushed: result.pushed });
+    return { ...digest, pushed: result.pushed };
+  } catch (err) {
+    universalLog('error', 'digest_send_failed', { ...context, error: err.message });
+    return null;
+  }
+}
+
+async function dropExpiredItems() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `DELETE FROM favorite_digest_items
+       WHERE digest_id IS NULL AND matched_at < now() - ($1::int * interval '1 day')`,
+      [config.digests.itemRetentionDays]
+    );
+    if (res.rowCount > 0) universalLog('info', 'digest_items_dropped', { count: res.rowCount });
+  } finally {
+    client.release();
+  }
+}
+
+export async function runDueDigests() {
+  await dropExpiredItems();
+  const due = await findDueDigests();
+  if (due.length === 0) return 0;
+
+  const [projectId, accessToken] = await Promise.all([getProjectId(), getAccessToken()]);
+  if (!projectId || !accessToken) throw new Error('FCM credentials not available');
+
+  let sent = 0;
+  for (const row of due) {
+    if (stopping) break;
+    if (await sendDigest(projectId, accessToken, row)) sent++;
+  }
+  return sent;
+}
+
+async function tick() {
+  if (workerRunning || stopping) return;
+  workerRunning = true;
+  try {
+    await runDueDigests();
+  } catch (err) {
+    universalLog('error', 'digest_worker_error', { error: err.message, stack: err.stack });
+  } finally {
+    workerRunning = false;
+  }
+}
+
+export function startDigestWorker() {
+  if (workerTimer || !config.digests.enabled) return;
+  stopping = false;
+  workerTimer = setInterval(tick, config.digests.pollIntervalMs);
+  universalLog('info', 'digest_worker_started', { pollIntervalMs: config.digests.pollIntervalMs });
+  tick();
+}
+
+export function stopDigestWorker() {
+  stopping = true;
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// The offers a digest listed, for the app to open from its inbox entry.
+export async function getDigest(uid, digestId) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      'SELECT id, delivery_mode, period_start, offer_ids, matched_count, created_at FROM favorite_digests WHERE id = $1 AND uid = $2',
+      [digestId, uid]
+    );
+    const digest = res.rows[0];
+    if (!digest) return null;
+    const offersRes = await client.query('SELECT * FROM offers WHERE offer_id = ANY($1)', [digest.offer_ids || []]);
+    const byId = new Map(offersRes.rows.map(o => [o.offer_id, o]));
+    return { ...digest, offers: (digest.offer_ids || []).map(id => byId.get(id)).filter(Boolean) };
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,63 @@
+import { config } from '../config.js';
+import { keywordFavoriteMatchesOffer, keywordMatchCandidates, keywordMatchInput } from '../utils.js';
+import { getPool } from './postgres.js';
+
+// POST /favorites-preview: runs a keyword favorite that is not saved yet against the
+// offers published in the last `windowDays`, with the same rules offer creation uses to
+// pick who gets alerted (utils.keywordMatchCandidates + keywordFavoriteMatchesOffer).
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+// Every word of the key must appear in the title for any title fragment to equal it, so
+// this LIKE prefilter only drops offers that could never match.
+async function loadCandidateOffers(keyLower, since) {
+  const words = keyLower.split(/\s+/).filter(Boolean).map(w => `%${escapeLike(w)}%`);
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT * FROM offers
+       WHERE "timestamp" >= $1
+         AND COALESCE(is_deleted, false) = false
+         AND lower(title) LIKE ALL($2::text[])
+       ORDER BY "timestamp" DESC
+       LIMIT $3`,
+      [since, words, config.favoritesPreview.maxScan]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// `favorite` uses the favorites columns (key, category, store, min_price, max_price,
+// min_discount). Returns the active matching offers (newest first, up to `limit`), how
+// many offers matched in the window and the alerts per week that rate amounts to.
+export async function previewKeywordFavorite(favorite, { limit = config.favoritesPreview.defaultLimit } = {}) {
+  const windowDays = config.favoritesPreview.windowDays;
+  const since = Date.now() - windowDays * 24 * 60 * 60 * 1000;
+  const keyLower = String(favorite.key ?? '').trim().toLowerCase();
+
+  // Keyword favorites are looked up by lower(key) = title fragment, so an empty key
+  // never fires however the filters are set.
+  const offers = keyLower ? await loadCandidateOffers(keyLower, since) : [];
+
+  const matched = offers.filter(offer => {
+    const input = keywordMatchInput(offer);
+    const candidates = keywordMatchCandidates(input).map(c => c.toLowerCase());
+    return candidates.includes(keyLower) && keywordFavoriteMatchesOffer(favorite, input);
+  });
+
+  // Expired offers still count towards the frequency: they were alerted when published.
+  const active = matched.filter(offer => offer.is_expired !== true);
+
+  return {
+    rows: active.slice(0, limit),
+    matchedInWindow: matched.length,
+    windowDays,
+    estimatedAlertsPerWeek: Math.round((matched.length * 7 / windowDays) * 10) / 10,
+    // The scan cap was reached, so the real numbers are at least these.
+    truncated: offers.length >= config.favoritesPreview.maxScan
+  };
+}
@@ -1,116 +1,278 @@
 import fetch from 'node-fetch';
+import { config } from '../config.js';
 import { universalLog } from '../logger.js';
+import { disableDevices, listActiveDevices } from './devices.js';
+import { applyDeliveryPolicy, releaseDeliveries } from './notificationPolicy.js';
+import { getPool } from './postgres.js';
 
 const fcmUrl = projectId => `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
 
-export async function sendNotificationToToken(projectId, fcmToken, title, body, data, token) {
+export function notificationMessage(target, title, body, data, img = null) {
   const badgeCount = Number.isFinite(Number(data?.badge_count)) ? Math.max(0, Number(data.badge_count)) : 1;
-  const payload = {
-    message: {
-      token: fcmToken,
-      notification: { title, body },
-      data: sanitizeData(data),
-      android: {
-        priority: 'HIGH',
-        notification: {
-          click_action: 'FLUTTER_NOTIFICATION_CLICK',
-          notification_count: badgeCount
-        }
-      },
-      apns: {
-        headers: { 'apns-priority': '10' },
-        payload: { aps: { badge: badgeCount, sound: 'default' } }
+  const notification = { title, body };
+  if (img) notification.image = img;
+  return {
+    ...target,
+    notification,
+    data: sanitizeData(data),
+    android: {
+      priority: 'HIGH',
+      notification: {
+        click_action: 'FLUTTER_NOTIFICATION_CLICK',
+        notification_count: badgeCount
       }
+    },
+    apns: {
+      headers: { 'apns-priority': '10' },
+      payload: { aps: { badge: badgeCount, sound: 'default' } }
     }
   };
+}
 
+export function dataMessage(target, data) {
+  return {
+    ...target,
+    data: sanitizeData(data),
+    android: {
+      priority: 'HIGH'
+    },
+    apns: {
+      headers: { 'apns-priority': '10' },
+      payload: { aps: { 'content-available': 1 } }
+    }
+  };
+}
+
+async function postMessage(projectId, message, token) {
   const res = await fetch(fcmUrl(projectId), {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${token}`,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(payload)
+    body: JSON.stringify({ message })
   });
 
   const text = await res.text();
-  const ok = res.ok;
-  if (!ok) {
-    universalLog('error', 'fcm_token_send_failed', { http: res.status, resp: text });
+  const response = safeJson(text);
+  return {
+    success: res.ok,
+    http: res.status,
+    response,
+    errorCode: res.ok ? null : fcmErrorCode(res.status, response),
+    retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+  };
+}
+
+export async function sendNotificationToToken(projectId, fcmToken, title, body, data, token) {
+  const res = await postMessage(projectId, notificationMessage({ token: fcmToken }, title, body, data), token);
+  if (!res.success) {
+    universalLog('error', 'fcm_token_send_failed', { http: res.http, resp: res.response });
   }
-  return { success: ok, http: res.status, response: safeJson(text) };
+  return { success: res.success, http: res.http, response: res.response };
 }
 
 export async function sendNotificationToTopic(projectId, topic, title, body, data, token, img = null) {
-  const badgeCount = Number.isFinite(Number(data?.badge_count)) ? Math.max(0, Number(data.badge_count)) : 1;
-  const notification = { title, body };
-  if (img) notification.image = img;
-  const payload = {
-    message: {
-      topic,
-      notification,
-      data: sanitizeData(data),
-      android: {
-        priority: 'HIGH',
-        notification: {
-          click_action: 'FLUTTER_NOTIFICATION_CLICK',
-          notification_count: badgeCount
+  const res = await postMessage(projectId, notificationMessage({ topic }, title, body, data, img), token);
+  if (!res.success) {
+    universalLog('error', 'fcm_topic_send_failed', { http: res.http, resp: res.response, topic });
+  }
+  return { success: res.success, http: res.http, response: res.response };
+}
+
+export async function sendDataMessageToToken(projectId, fcmToken, data, token) {
+  const res = await postMessage(projectId, dataMessage({ token: fcmToken }, data), token);
+  if (!res.success) {
+    universalLog('error', 'fcm_data_send_failed', { http: res.http, resp: res.response });
+  }
+  return { success: res.success, http: res.http, response: res.response };
+}
+
+// --- Batched dispatch ---
+
+// FCM v1 puts the specific reason (UNREGISTERED, QUOTA_EXCEEDED, ...) in an FcmError
+// detail; the generic status is the fallback.
+function fcmErrorCode(http, response) {
+  const error = response && typeof response === 'object' ? response.error : null;
+  const detail = (error?.details || []).find(d => d && d.errorCode);
+  return detail?.errorCode || error?.status || `HTTP_${http}`;
+}
+
+// Retry-After is either seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function isRetryable(result) {
+  return result.http === 429 || result.http >= 500;
+}
+
+// UNREGISTERED is always a dead token. INVALID_ARGUMENT is also returned for bad
+// payloads, so it only counts when FCM says the token itself is the problem.
+function isDeadToken(result) {
+  if (result.errorCode === 'UNREGISTERED') return true;
+  if (result.errorCode !== 'INVALID_ARGUMENT') return false;
+  const error = result.response?.error;
+  const onTokenField = (error?.details || []).some(d => (d?.fieldViolations || []).some(v => String(v?.field || '').endsWith('token')));
+  return onTokenField || /registration token/i.test(String(error?.message || ''));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Hands out send slots: at most `maxPerSecond` starts per second, and nobody starts
+// while a Retry-After pause is running (FCM quotas are per project, not per token).
+function createRateLimiter(maxPerSecond) {
+  const interval = 1000 / Math.max(1, maxPerSecond);
+  let nextSlot = 0;
+  let pausedUntil = 0;
+  return {
+    async take() {
+      for (;;) {
+        const now = Date.now();
+        const at = Math.max(nextSlot, pausedUntil, now);
+        if (at <= now) {
+          nextSlot = now + interval;
+          return;
         }
-      },
-      apns: {
-        headers: { 'apns-priority': '10' },
-        payload: { aps: { badge: badgeCount, sound: 'default' } }
+        await sleep(at - now);
       }
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
     }
   };
+}
 
-  const res = await fetch(fcmUrl(projectId), {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
+// One for the whole process: dispatches running side by side share the per-second budget
+// and each other's Retry-After pauses.
+const limiter = createRateLimiter(config.fcm.maxPerSecond);
 
-  const text = await res.text();
-  const ok = res.ok;
-  if (!ok) {
-    universalLog('error', 'fcm_topic_send_failed', { http: res.status, resp: text, topic });
+// Disables the devices holding dead tokens and clears them from users.token_fcm.
+// Returns how many distinct tokens were dropped.
+export async function removeInvalidFcmTokens(tokens) {
+  const unique = Array.from(new Set((tokens || []).filter(Boolean)));
+  if (unique.length === 0) return 0;
+  await disableDevices(unique);
+  const client = await getPool().connect();
+  try {
+    // Matched on the token value, so a user who registered a new token meanwhile keeps it.
+    await client.query('UPDATE "users" SET token_fcm = NULL WHERE token_fcm = ANY($1)', [unique]);
+    return unique.length;
+  } finally {
+    client.release();
   }
-  return { success: ok, http: res.status, response: safeJson(text) };
 }
 
-export async function sendDataMessageToToken(projectId, fcmToken, data, token) {
-  const payload = {
-    message: {
-      token: fcmToken,
-      data: sanitizeData(data),
-      android: {
-        priority: 'HIGH'
-      },
-      apns: {
-        headers: { 'apns-priority': '10' },
-        payload: { aps: { 'content-available': 1 } }
+// Sends one message per recipient ({ token, ...anything }) with bounded concurrency and
+// rate, retrying 429/5xx. `buildMessage(recipient)` returns the FCM message without the
+// token. Dead tokens are disabled (see removeInvalidFcmTokens). The summary is logged as
+// `${tag}_summary` along with `context`. Never throws; returns
+// { sent, failed, results: [{ recipient, success, errorCode }], errorCounts, invalidTokens }.
+export async function dispatchFcmMessages(projectId, accessToken, recipients, buildMessage, { tag = 'fcm_dispatch', context = {} } = {}) {
+  if (recipients.length === 0) return { sent: 0, failed: 0, results: [], errorCounts: {}, invalidTokens: 0 };
+  const { concurrency, maxRetries, retryBaseMs, maxRetryDelayMs } = config.fcm;
+  const results = new Array(recipients.length);
+  const errorCounts = {};
+  const deadTokens = [];
+  let next = 0;
+
+  async function sendOne(recipient) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.take();
+      const message = { ...buildMessage(recipient), token: recipient.token };
+      let result;
+      try {
+        result = await postMessage(projectId, message, accessToken);
+      } catch (err) {
+        result = { success: false, http: 0, response: err.message, errorCode: 'NETWORK_ERROR', retryAfterMs: null };
       }
+      const retryable = result.http === 0 || isRetryable(result);
+      if (result.success || !retryable || attempt >= maxRetries) return result;
+
+      const backoff = Math.min(maxRetryDelayMs, retryBaseMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = Math.min(maxRetryDelayMs, result.retryAfterMs ?? backoff);
+      if (result.http === 429) limiter.pause(delay);
+      await sleep(delay);
     }
-  };
+  }
 
-  const res = await fetch(fcmUrl(projectId), {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
+  async function worker() {
+    while (next < recipients.length) {
+      const index = next++;
+      const recipient = recipients[index];
+      let result;
+      try {
+        result = await sendOne(recipient);
+      } catch (err) {
+        universalLog('error', `${tag}_error`, { ...context, error: err.message });
+        result = { success: false, errorCode: 'INTERNAL' };
+      }
+      results[index] = { recipient, success: result.success, errorCode: result.errorCode };
+      if (!result.success) {
+        errorCounts[result.errorCode] = (errorCounts[result.errorCode] || 0) + 1;
+        if (isDeadToken(result)) deadTokens.push(recipient.token);
+      }
+    }
+  }
 
-  const text = await res.text();
-  const ok = res.ok;
-  if (!ok) {
-    universalLog('error', 'fcm_data_send_failed', { http: res.status, resp: text });
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), recipients.length) }, worker));
+
+  let invalidTokens = 0;
+  try {
+    invalidTokens = await removeInvalidFcmTokens(deadTokens);
+  } catch (err) {
+    universalLog('error', 'fcm_invalid_token_cleanup_failed', { tag, tokens: deadTokens.length, error: err.message });
+  }
+
+  const sent = results.filter(r => r.success).length;
+  const failed = results.length - sent;
+  universalLog(failed > 0 ? 'warn' : 'info', `${tag}_summary`, { ...context, total: recipients.length, sent, failed, errorCounts, invalidTokens });
+  return { sent, failed, results, errorCounts, invalidTokens };
+}
+
+// Fans a message out to every active device of `uids` (services/devices.js). With a
+// `notificationType` the users' quiet hours and caps are applied first
+// (services/notificationPolicy.js). On top of dispatchFcmMessages() results, `devices`
+// is how many were targeted, `delivered` lists the users reached on at least one of
+// them and `suppressed` the users held back ({ uid, reason }).
+export async function dispatchToUsers(projectId, accessToken, uids, buildMessage, options = {}) {
+  let targets = uids;
+  let suppressed = [];
+  let deliveries = new Map();
+  if (options.notificationType) {
+    try {
+      ({ allowed: targets, suppressed, deliveries } = await applyDeliveryPolicy(uids, options.notificationType));
+    } catch (err) {
+      // Sending without the policy beats dropping the notification.
+      universalLog('error', `${options.tag || 'fcm_dispatch'}_policy_failed`, { ...options.context, error: err.message });
+    }
+  }
+
+  let devices = [];
+  try {
+    devices = await listActiveDevices(targets);
+  } catch (err) {
+    universalLog('error', `${options.tag || 'fcm_dispatch'}_devices_failed`, { ...options.context, error: err.message });
+  }
+  const dispatch = await dispatchFcmMessages(projectId, accessToken, devices, buildMessage, options);
+  const delivered = Array.from(new Set(dispatch.results.filter(r => r.success).map(r => r.recipient.uid)));
+  const reached = new Set(delivered);
+  const unused = [...deliveries].filter(([uid]) => !reached.has(uid)).map(([, id]) => id);
+  try {
+    await releaseDeliveries(unused);
+  } catch (err) {
+    universalLog('warn', `${options.tag || 'fcm_dispatch'}_release_deliveries_failed`, { ...options.context, error: err.message });
+  }
+  if (suppressed.length > 0) {
+    universalLog('info', `${options.tag || 'fcm_dispatch'}_suppressed`, { ...options.context, count: suppressed.length });
   }
-  return { success: ok, http: res.status, response: safeJson(text) };
+  return { ...dispatch, devices: devices.length, delivered, suppressed };
 }
 
 function sanitizeData(data = {}) {
@@ -15,3 +15,7 @@ export function getFirebaseAuth() {
   ensureApp();
   return admin.auth();
 }
+
+export async function verifyIdToken(idToken, { checkRevoked = false } = {}) {
+  return getFirebaseAuth().verifyIdToken(idToken, checkRevoked);
+}
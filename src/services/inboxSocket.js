@@ -0,0 +1,236 @@
+import { WebSocketServer } from 'ws';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { verifyIdToken } from './firebase.js';
+import { countUnreadNotifications, getPool } from './postgres.js';
+import { listen } from './pgListener.js';
+
+// Per-user notification inbox over WebSocket. Inbox changes are published with
+// pg_notify so every instance hears them, whichever one wrote the rows; each instance
+// then pushes them to the sockets it holds for those users.
+
+const EVENT_TYPES = new Set(['notification', 'read', 'withdrawn']);
+// Browsers cannot set headers on a WebSocket handshake, and a token in the URL ends up in
+// proxy and access logs. They either offer the subprotocols ['bearer', <ID token>] or
+// open the socket bare and send { type: 'auth', token } as the first message.
+const AUTH_PROTOCOL = 'bearer';
+// NOTIFY payloads are capped at 8000 bytes; recipients are split across several.
+const MAX_PAYLOAD_BYTES = 7000;
+
+const socketsByUid = new Map();
+
+function chunkUids(uids, event) {
+  const base = Buffer.byteLength(JSON.stringify({ ...event, uids: [] }));
+  const chunks = [];
+  let current = [];
+  let size = base;
+  for (const uid of uids) {
+    const add = Buffer.byteLength(JSON.stringify(uid)) + 1;
+    if (current.length > 0 && size + add > MAX_PAYLOAD_BYTES) {
+      chunks.push(current);
+      current = [];
+      size = base;
+    }
+    current.push(uid);
+    size += add;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// `event` is one of:
+//   { type: 'notification', notification_id }
+//   { type: 'read', notification_id } or { type: 'read', all: true }
+//   { type: 'withdrawn', notification_ids: [...] }
+// Failures are logged and swallowed: the inbox is still correct on the next REST fetch.
+export async function publishInboxEvent(uids, event) {
+  const recipients = [...new Set((uids || []).filter(Boolean).map(String))];
+  if (recipients.length === 0) return;
+  let client = null;
+  try {
+    client = await getPool().connect();
+    for (const chunk of chunkUids(recipients, event)) {
+      await client.query('SELECT pg_notify($1, $2)', [config.postgres.channels.inbox, JSON.stringify({ ...event, uids: chunk })]);
+    }
+  } catch (err) {
+    universalLog('warn', 'inbox_event_publish_failed', { type: event?.type, error: err.message });
+  } finally {
+    client?.release();
+  }
+}
+
+async function loadNotification(notificationId) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      'SELECT id, title, body, target, created_at, offer_id FROM notifications WHERE id = $1',
+      [Number(notificationId)]
+    );
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+async function sendUnreadCount(uid, sockets) {
+  const result = await countUnreadNotifications({ uid });
+  if (!result.success) return;
+  for (const ws of sockets) send(ws, { type: 'unread_count', count: result.count ?? 0 });
+}
+
+async function handleInboxEvent(payload) {
+  if (!payload || typeof payload !== 'object' || !EVENT_TYPES.has(payload.type) || !Array.isArray(payload.uids)) return;
+  const targets = payload.uids.filter(uid => socketsByUid.has(uid));
+  if (targets.length === 0) return;
+
+  let message;
+  if (payload.type === 'notification') {
+    const notification = await loadNotification(payload.notification_id);
+    if (!notification) return;
+    message = { type: 'notification', notification: { ...notification, read: false, withdrawn: false } };
+  } else if (payload.type === 'read') {
+    message = payload.all ? { type: 'read', all: true } : { type: 'read', notification_id: payload.notification_id };
+  } else {
+    message = { type: 'withdrawn', notification_ids: payload.notification_ids || [] };
+  }
+
+  for (const uid of targets) {
+    const sockets = socketsByUid.get(uid);
+    if (!sockets) continue;
+    for (const ws of sockets) send(ws, message);
+    await sendUnreadCount(uid, sockets);
+  }
+}
+
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  const protocols = String(req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+  const index = protocols.indexOf(AUTH_PROTOCOL);
+  return index >= 0 ? protocols[index + 1] || null : null;
+}
+
+async function verifyToken(idToken) {
+  try {
+    return await verifyIdToken(idToken);
+  } catch (err) {
+    universalLog('warn', 'inbox_socket_token_rejected', { code: err?.code, error: err.message });
+    return null;
+  }
+}
+
+// Sockets opened without a token get authMs to send { type: 'auth', token }.
+function awaitAuthMessage(ws) {
+  const onError = err => universalLog('warn', 'inbox_socket_error', { error: err.message });
+  const timer = setTimeout(() => ws.close(4001, 'auth_timeout'), config.inboxSocket.authMs);
+  ws.on('error', onError);
+  ws.once('close', () => clearTimeout(timer));
+  ws.once('message', async raw => {
+    clearTimeout(timer);
+    let msg;
+    try { msg = JSON.parse(String(raw)); } catch (_) { msg = null; }
+    const decoded = msg?.type === 'auth' && msg.token ? await verifyToken(String(msg.token)) : null;
+    if (!decoded) return ws.close(4001, 'unauthorized');
+    if (ws.readyState !== ws.OPEN) return;
+    ws.off('error', onError);
+    onConnection(ws, decoded);
+  });
+}
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+function register(uid, ws) {
+  let sockets = socketsByUid.get(uid);
+  if (!sockets) {
+    sockets = new Set();
+    socketsByUid.set(uid, sockets);
+  }
+  sockets.add(ws);
+}
+
+function unregister(uid, ws) {
+  const sockets = socketsByUid.get(uid);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) socketsByUid.delete(uid);
+}
+
+function onConnection(ws, decoded) {
+  const uid = decoded.uid;
+  ws.isAlive = true;
+  register(uid, ws);
+  universalLog('info', 'inbox_socket_connected', { uid, sockets: socketsByUid.get(uid)?.size ?? 0 });
+
+  // The socket lives no longer than the ID token it was opened with; the client
+  // reconnects with a fresh one.
+  const expiresInMs = decoded.exp ? decoded.exp * 1000 - Date.now() : null;
+  const expiryTimer = expiresInMs !== null ? setTimeout(() => ws.close(4001, 'token_expired'), Math.max(0, expiresInMs)) : null;
+
+  ws.on('pong', () => { ws.isAlive = true; });
+  ws.on('message', raw => {
+    let msg;
+    try { msg = JSON.parse(String(raw)); } catch (_) { return; }
+    if (msg?.type === 'sync') {
+      sendUnreadCount(uid, [ws]).catch(err => universalLog('warn', 'inbox_socket_sync_failed', { uid, error: err.message }));
+    }
+  });
+  ws.on('close', () => {
+    if (expiryTimer) clearTimeout(expiryTimer);
+    unregister(uid, ws);
+  });
+  ws.on('error', err => universalLog('warn', 'inbox_socket_error', { uid, error: err.message }));
+
+  send(ws, { type: 'hello', uid });
+  sendUnreadCount(uid, [ws]).catch(err => universalLog('warn', 'inbox_socket_sync_failed', { uid, error: err.message }));
+}
+
+export function attachInboxSocket(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: 16 * 1024,
+    // Echo the marker, never the token.
+    handleProtocols: protocols => (protocols.has(AUTH_PROTOCOL) ? AUTH_PROTOCOL : false)
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== config.inboxSocket.path) return rejectUpgrade(socket, 404, 'Not Found');
+
+    const idToken = extractToken(req);
+    if (!idToken) return wss.handleUpgrade(req, socket, head, awaitAuthMessage);
+    const decoded = await verifyToken(idToken);
+    if (!decoded) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+    wss.handleUpgrade(req, socket, head, ws => onConnection(ws, decoded));
+  });
+
+  // Drops sockets whose peer disappeared without closing (mobile networks).
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, config.inboxSocket.heartbeatMs);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  listen(config.postgres.channels.inbox, payload => {
+    handleInboxEvent(payload).catch(err => {
+      universalLog('error', 'inbox_event_dispatch_failed', { error: err.message });
+    });
+  });
+
+  universalLog('info', 'inbox_socket_started', { path: config.inboxSocket.path });
+  return wss;
+}
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+import { processOfferEvent } from './offerEvents.js';
+import { sendTelegramError } from './telegram.js';
+
+export const JOB_STATUSES = ['pending', 'processing', 'done', 'dead'];
+
+let workerTimer = null;
+let workerRunning = false;
+let stopping = false;
+let lastPruneAt = 0;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Explicit keys win (header or `event_id`); otherwise identical resends of the same
+// payload hash to the same key.
+export function deriveIdempotencyKey(payload, explicitKey = null) {
+  const key = explicitKey || payload?.event_id || null;
+  if (key) return String(key).slice(0, 200);
+  return crypto.createHash('sha256').update(JSON.stringify(payload ?? null)).digest('hex');
+}
+
+// `replay` marks an event re-applied by an admin action: processOfferEvent() then sends
+// no notifications for it.
+export async function enqueueOfferEvent(payload, { idempotencyKey = null, replay = false } = {}) {
+  const code = payload?.post?.code ? String(payload.post.code) : null;
+  const type = payload?.type ? String(payload.type) : null;
+  const key = deriveIdempotencyKey(payload, idempotencyKey);
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO ingestion_jobs (offer_code, event_type, payload, max_attempts, idempotency_key)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING id`,
+      [code, type, JSON.stringify(replay ? { ...payload, replay: true } : payload ?? null), config.ingestion.maxAttempts, key]
+    );
+    if (res.rowCount > 0) return { id: res.rows[0].id, duplicate: false };
+
+    const existing = await client.query('SELECT id, status FROM ingestion_jobs WHERE idempotency_key = $1 LIMIT 1', [key]);
+    return { id: existing.rows[0]?.id ?? null, duplicate: true, status: existing.rows[0]?.status ?? null };
+  } finally {
+    client.release();
+  }
+}
+
+// Oldest runnable job whose offer code has no earlier job still pending or in flight,
+// so events for the same offer are always applied in arrival order.
+async function claimNextJob() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE ingestion_jobs
+       SET status = 'processing', attempts = attempts + 1, locked_at = now(), updated_at = now()
+       WHERE id = (
+         SELECT j.id FROM ingestion_jobs j
+         WHERE j.status = 'pending'
+           AND j.run_after <= now()
+           AND NOT EXISTS (
+             SELECT 1 FROM ingestion_jobs p
+             WHERE p.offer_code IS NOT DISTINCT FROM j.offer_code
+               AND p.id < j.id
+               AND p.status IN ('pending', 'processing')
+           )
+         ORDER BY j.id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Jobs left in `processing` by a crashed or restarted worker go back to the queue, unless
+// they have used up their attempts: a job that keeps taking its worker down is dead.
+async function releaseStaleJobs() {
+  const client = await getPool().connect();
+  let dead = [];
+  try {
+    const res = await client.query(
+      `UPDATE ingestion_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+           last_error = CASE WHEN attempts >= max_attempts THEN 'worker_lost' ELSE last_error END,
+           locked_at = NULL, updated_at = now()
+       WHERE status = 'processing' AND locked_at < now() - ($1::bigint * interval '1 millisecond')
+       RETURNING id, status`,
+      [config.ingestion.staleLockMs]
+    );
+    if (res.rowCount === 0) return;
+    dead = res.rows.filter(r => r.status === 'dead').map(r => r.id);
+    universalLog('warn', 'ingestion_stale_jobs_released', { count: res.rowCount - dead.length, dead });
+  } finally {
+    client.release();
+  }
+  // Alerted with the connection back in the pool: Telegram can be slow.
+  if (dead.length > 0) {
+    await sendTelegramError(`‼️ Errore manageOfferRequest: job ${dead.join(', ')} interrotti troppe volte, spostati in dead`);
+  }
+}
+
+// Done jobs are only kept for a while. Deletions stay: hasNewerDeletion() reads them to
+// reject older events for a hard-deleted code.
+async function pruneDoneJobs() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `DELETE FROM ingestion_jobs
+       WHERE status = 'done'
+         AND updated_at < now() - ($1::bigint * interval '1 millisecond')
+         AND COALESCE("result"->>'action', '') NOT IN ('deleted', 'deleted_via_create')`,
+      [config.ingestion.doneRetentionMs]
+    );
+    if (res.rowCount > 0) universalLog('info', 'ingestion_done_jobs_pruned', { count: res.rowCount });
+  } finally {
+    client.release();
+  }
+}
+
+async function completeJob(id, result) {
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `UPDATE ingestion_jobs SET status = 'done', result = $2, last_error = NULL, locked_at = NULL, updated_at = now() WHERE id = $1`,
+      [id, JSON.stringify(result)]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+async function deadLetterJob(id, error, result = null) {
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `UPDATE ingestion_jobs SET status = 'dead', last_error = $2, result = $3, locked_at = NULL, updated_at = now() WHERE id = $1`,
+      [id, error, result ? JSON.stringify(result) : null]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+export function backoffDelayMs(attempts) {
+  const { backoffBaseMs, backoffMaxMs } = config.ingestion;
+  return Math.min(backoffMaxMs, backoffBaseMs * 2 ** Math.max(0, attempts - 1));
+}
+
+async function scheduleRetry(id, attempts, error) {
+  const delayMs = backoffDelayMs(attempts);
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `UPDATE ingestion_jobs
+       SET status = 'pending', last_error = $2, locked_at = NULL, updated_at = now(),
+           run_after = now() + ($3::bigint * interval '1 millisecond')
+       WHERE id = $1`,
+      [id, error, delayMs]
+    );
+  } finally {
+    client.release();
+  }
+  return delayMs;
+}
+
+async function runJob(job) {
+  const context = { jobId: job.id, code: job.offer_code, type: job.event_type, attempt: job.attempts };
+  try {
+    const result = await processOfferEvent(job.payload);
+    if (result.ok) {
+      await completeJob(job.id, result);
+      universalLog('info', 'ingestion_job_done', { ...context, action: result.action });
+      return;
+    }
+    // The payload itself is unusable: retrying would only produce the same answer.
+    await deadLetterJob(job.id, result.error || 'rejected', result);
+    universalLog('warn', 'ingestion_job_rejected', { ...context, error: result.error });
+  } catch (err) {
+    universalLog('error', 'ingestion_job_failed', { ...context, error: err.message, stack: err.stack });
+    if (job.attempts >= job.max_attempts) {
+      await deadLetterJob(job.id, err.message);
+      await sendTelegramError(`‼️ Errore manageOfferRequest (job ${job.id}, ${job.attempts} tentativi): ${err.message}`);
+      return;
+    }
+    const delayMs = await scheduleRetry(job.id, job.attempts, err.message);
+    universalLog('warn', 'ingestion_job_retry_scheduled', { ...context, delayMs });
+  }
+}
+
+async function drainQueue() {
+  if (workerRunning || stopping) return;
+  workerRunning = true;
+  try {
+    await releaseStaleJobs();
+    await pruneDoneJobs();
+    let job = await claimNextJob();
+    while (job && !stopping) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (err) {
+    universalLog('error', 'ingestion_worker_error', { error: err.message, stack: err.stack });
+  } finally {
+    workerRunning = false;
+  }
+}
+
+export function startIngestionWorker() {
+  if (workerTimer) return;
+  stopping = false;
+  workerTimer = setInterval(drainQueue, config.ingestion.pollIntervalMs);
+  universalLog('info', 'ingestion_worker_started', { pollIntervalMs: config.ingestion.pollIntervalMs });
+  drainQueue();
+}
+
+export function stopIngestionWorker() {
+  stopping = true;
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// Wakes the worker right away instead of waiting for the next poll tick.
+export function kickIngestionWorker() {
+  if (workerTimer) setImmediate(drainQueue);
+}
+
+export async function listJobs({ status = null, code = null, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT id, offer_code, event_type, idempotency_key, status, attempts, max_attempts, run_after, last_error, result, created_at, updated_at
+       FROM ingestion_jobs
+       WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR offer_code = $2)
+       ORDER BY id DESC
+       LIMIT $3`,
+      [status, code, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getJob(id) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT * FROM ingestion_jobs WHERE id = $1 LIMIT 1', [id]);
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+export async function countJobsByStatus() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT status, COUNT(*) AS count FROM ingestion_jobs GROUP BY status');
+    const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    for (const row of res.rows) counts[row.status] = Number(row.count) || 0;
+    return counts;
+  } finally {
+    client.release();
+  }
+}
+
+// Puts a dead-lettered job back in the queue with a fresh attempt budget.
+export async function retryDeadJob(id) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE ingestion_jobs
+       SET status = 'pending', attempts = 0, run_after = now(), last_error = NULL, updated_at = now()
+       WHERE id = $1 AND status = 'dead'
+       RETURNING id`,
+      [id]
+    );
+    const retried = res.rowCount > 0;
+    if (retried) kickIngestionWorker();
+    return { success: retried };
+  } finally {
+    client.release();
+  }
+}
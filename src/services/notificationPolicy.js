@@ -0,0 +1,235 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+
+// Per-user delivery rules checked before any push (see dispatchToUsers in fcm.js):
+// quiet hours in the user's timezone, and hourly/daily caps per notification type.
+// Users without a user_notification_settings row get config.notificationPolicy
+// defaults. Caps count the notification_deliveries log, not the inbox: pushed super
+// offers have no inbox entry. Suppressed notifications are still written to
+// users_notifications (with pushed = false), so they show up in the inbox.
+
+// Other types ('custom' admin broadcasts) only respect quiet hours.
+export const CAPPED_TYPES = ['superoffer', 'favorite_product', 'saved_search'];
+
+// Deliveries older than the longest cap period (a day in any timezone) count for nothing.
+const DELIVERY_RETENTION = '2 days';
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPruneAt = 0;
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function capColumn(type, period) {
+  return `${type}_${period}_cap`;
+}
+
+function defaultCap(type, period) {
+  const value = config.notificationPolicy.caps[type]?.[period];
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function formatTime(value) {
+  if (value === null || value === undefined) return null;
+  return String(value).slice(0, 5);
+}
+
+function shapeSettings(uid, row) {
+  const caps = {};
+  for (const type of CAPPED_TYPES) {
+    caps[type] = {};
+    for (const period of ['daily', 'hourly']) {
+      const own = row?.[capColumn(type, period)];
+      caps[type][period] = own === null || own === undefined ? defaultCap(type, period) : Number(own);
+    }
+  }
+  return {
+    uid,
+    timezone: row?.timezone || config.notificationPolicy.defaultTimezone,
+    quiet_start: formatTime(row?.quiet_start),
+    quiet_end: formatTime(row?.quiet_end),
+    caps,
+    updated_at: row?.updated_at ?? null
+  };
+}
+
+export async function getNotificationSettings(uid) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT * FROM user_notification_settings WHERE uid = $1', [uid]);
+    return shapeSettings(uid, res.rows[0] || null);
+  } finally {
+    client.release();
+  }
+}
+
+// Accepts { timezone, quiet_start, quiet_end, caps: { <type>: { daily, hourly } } }.
+// Only keys present are changed; null resets a field to its default.
+function pickSettingsFields(data) {
+  const out = {};
+  if (data?.timezone !== undefined) {
+    const tz = data.timezone === null ? null : String(data.timezone).trim();
+    if (tz && !isValidTimezone(tz)) return { error: 'invalid_timezone' };
+    out.timezone = tz || null;
+  }
+  for (const field of ['quiet_start', 'quiet_end']) {
+    if (data?.[field] === undefined) continue;
+    const value = data[field] === null ? null : String(data[field]).trim();
+    if (value && !TIME_RE.test(value)) return { error: `invalid_${field}` };
+    out[field] = value || null;
+  }
+  for (const [type, caps] of Object.entries(data?.caps || {})) {
+    if (!CAPPED_TYPES.includes(type)) return { error: 'invalid_notification_type' };
+    for (const period of ['daily', 'hourly']) {
+      if (caps?.[period] === undefined) continue;
+      if (caps[period] === null) {
+        out[capColumn(type, period)] = null;
+        continue;
+      }
+      const n = Number(caps[period]);
+      if (!Number.isInteger(n) || n < 0 || n > config.notificationPolicy.maxCap) return { error: `invalid_${period}_cap` };
+      out[capColumn(type, period)] = n;
+    }
+  }
+  return { fields: out };
+}
+
+export async function updateNotificationSettings(uid, data) {
+  const { fields, error } = pickSettingsFields(data);
+  if (error) return { success: false, reason: error };
+  const cols = Object.keys(fields);
+  if (cols.length === 0) return { success: false, reason: 'no_fields' };
+
+  const values = [uid, ...cols.map(c => fields[c])];
+  const placeholders = cols.map((_, idx) => `$${idx + 2}`);
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO user_notification_settings (uid, ${cols.map(c => `"${c}"`).join(', ')})
+       VALUES ($1, ${placeholders.join(', ')})
+       ON CONFLICT (uid) DO UPDATE SET ${cols.map(c => `"${c}" = EXCLUDED."${c}"`).join(', ')}, updated_at = now()
+       RETURNING *`,
+      values
+    );
+    return { success: true, row: shapeSettings(uid, res.rows[0]) };
+  } finally {
+    client.release();
+  }
+}
+
+// Splits `uids` into the ones that may get a `type` push now and the suppressed ones
+// ({ uid, reason: 'quiet_hours' | 'hourly_cap' | 'daily_cap' }). "Today" for the daily
+// cap starts at midnight in the user's timezone.
+// For capped types every allowed user gets a notification_deliveries row in the same
+// transaction, under a lock per type, so dispatches running side by side (on any
+// instance) see each other's pushes and cannot go over a cap together. `deliveries`
+// maps those users to their row: the caller hands the ones that were not reached to
+// releaseDeliveries().
+export async function applyDeliveryPolicy(uids, type) {
+  const list = Array.from(new Set((uids || []).filter(Boolean).map(String)));
+  if (list.length === 0) return { allowed: [], suppressed: [], deliveries: new Map() };
+  const capped = CAPPED_TYPES.includes(type);
+
+  const allowed = [];
+  const suppressed = [];
+  const deliveries = new Map();
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    if (capped) await client.query("SELECT pg_advisory_xact_lock(hashtext('notification_caps:' || $1))", [type]);
+    const res = await client.query(
+      `WITH targets AS (
+         SELECT t.uid AS target_uid, s.*, COALESCE(s.timezone, $3) AS tz
+         FROM unnest($1::text[]) AS t(uid)
+         LEFT JOIN user_notification_settings s ON s.uid = t.uid
+       )
+       SELECT t.*,
+         (now() AT TIME ZONE t.tz)::time AS local_time,
+         CASE WHEN $4::boolean THEN (
+           SELECT count(*) FROM notification_deliveries d
+           WHERE d.uid = t.target_uid AND d.notification_type = $2
+             AND d.sent_at >= now() - interval '1 hour'
+         ) ELSE 0 END AS sent_last_hour,
+         CASE WHEN $4::boolean THEN (
+           SELECT count(*) FROM notification_deliveries d
+           WHERE d.uid = t.target_uid AND d.notification_type = $2
+             AND d.sent_at >= (date_trunc('day', now() AT TIME ZONE t.tz) AT TIME ZONE t.tz)
+         ) ELSE 0 END AS sent_today
+       FROM targets t`,
+      [list, type, config.notificationPolicy.defaultTimezone, capped]
+    );
+    for (const row of res.rows) {
+      const reason = suppressionReason(row, type, capped);
+      if (reason) suppressed.push({ uid: row.target_uid, reason });
+      else allowed.push(row.target_uid);
+    }
+
+    if (capped && allowed.length > 0) {
+      const inserted = await client.query(
+        'INSERT INTO notification_deliveries (uid, notification_type) SELECT u, $2 FROM unnest($1::text[]) AS u RETURNING id, uid',
+        [allowed, type]
+      );
+      for (const row of inserted.rows) deliveries.set(row.uid, row.id);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  pruneDeliveries();
+  return { allowed, suppressed, deliveries };
+}
+
+// Frees the cap slots of users applyDeliveryPolicy() allowed but no device reached.
+export async function releaseDeliveries(ids) {
+  if (!ids || ids.length === 0) return;
+  const client = await getPool().connect();
+  try {
+    await client.query('DELETE FROM notification_deliveries WHERE id = ANY($1::bigint[])', [ids]);
+  } finally {
+    client.release();
+  }
+}
+
+// At most hourly, in the background.
+function pruneDeliveries() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  (async () => {
+    const client = await getPool().connect();
+    try {
+      await client.query(`DELETE FROM notification_deliveries WHERE sent_at < now() - interval '${DELIVERY_RETENTION}'`);
+    } finally {
+      client.release();
+    }
+  })().catch(err => universalLog('warn', 'notification_deliveries_prune_failed', { error: err.message }));
+}
+
+function inQuietHours(row) {
+  const start = formatTime(row.quiet_start);
+  const end = formatTime(row.quiet_end);
+  if (!start || !end || start === end) return false;
+  const now = formatTime(row.local_time);
+  // A window like 22:00-07:00 wraps midnight.
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+function suppressionReason(row, type, capped) {
+  if (inQuietHours(row)) return 'quiet_hours';
+  if (!capped) return null;
+  const settings = shapeSettings(row.target_uid, row);
+  const { hourly, daily } = settings.caps[type];
+  if (hourly !== null && Number(row.sent_last_hour) >= hourly) return 'hourly_cap';
+  if (daily !== null && Number(row.sent_today) >= daily) return 'daily_cap';
+  return null;
+}
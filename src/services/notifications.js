@@ -1,7 +1,10 @@
-import { createFirestoreNotificationDoc, getUserFcmToken, getUserPreferences } from './firestore.js';
-import { sendDataMessageToToken, sendNotificationToToken } from './fcm.js';
+import { createFirestoreNotificationDoc, getUserPreferences } from './firestore.js';
+import { dataMessage, dispatchFcmMessages, dispatchToUsers, notificationMessage } from './fcm.js';
+import { USER_HAS_DEVICE_SQL, listActiveDevices } from './devices.js';
 import { universalLog } from '../logger.js';
-import { getPool, withdrawNotificationById, withdrawNotificationsForOffer } from './postgres.js';
+import { getOfferById, getPool, withdrawNotificationById, withdrawNotificationsForOffer } from './postgres.js';
+import { getAccessToken, getProjectId } from './auth.js';
+import { publishInboxEvent } from './inboxSocket.js';
 
 function shouldSendNotification(prefs, matchType) {
   if (!prefs?.notifications?.push || !prefs?.notifications?.new_offers) return false;
@@ -9,13 +12,42 @@ function shouldSendNotification(prefs, matchType) {
   return matchType === 'product' ? prefs.favorites.products : prefs.favorites.searches;
 }
 
+// One users_notifications row per user: the ones pushed and the ones held back by quiet
+// hours or caps (pushed = false), which only show up in the inbox. `entries` are
+// { uid, pushed, reason, threshold }.
+export async function recordUserNotifications(notificationId, notificationType, entries) {
+  if (!notificationId || entries.length === 0) return;
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `INSERT INTO users_notifications (uid, sent_at, notification_id, withdrawn, read, reason, reason_threshold_type, reason_threshold_value, notification_type, pushed)
+       SELECT e.uid, now(), $1, false, false, e.reason, e.threshold_type, e.threshold_value, $2, e.pushed
+       FROM unnest($3::text[], $4::text[], $5::text[], $6::numeric[], $7::boolean[]) AS e(uid, reason, threshold_type, threshold_value, pushed)`,
+      [
+        notificationId,
+        notificationType,
+        entries.map(e => e.uid),
+        entries.map(e => e.reason ?? null),
+        entries.map(e => e.threshold?.type ?? null),
+        entries.map(e => e.threshold?.value ?? null),
+        entries.map(e => e.pushed !== false)
+      ]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+// `notificationType` is 'favorite_product' or 'saved_search' (keyword matches): it picks
+// the preference checked and the caps applied. Returns the users who got the
+// notification, pushed or (when held back by their policy) only in the inbox.
 export async function notifyUsersAboutOffer(
   projectId,
   userIds,
   post,
   offerId,
   token,
-  { useHeartTitle = false, isAvailableAgain = false, reasonByUid = {} } = {}
+  { useHeartTitle = false, isAvailableAgain = false, reasonByUid = {}, thresholdByUid = {}, notificationType = 'favorite_product' } = {}
 ) {
   const titlePrefix = isAvailableAgain ? '❤️ ' : (useHeartTitle ? '❤️ ' : '🔍 ');
   const title = `${titlePrefix}${post.title || 'Offerta'}`;
@@ -66,15 +98,7 @@ export async function notifyUsersAboutOffer(
   const tasks = userIds.map(uid => (async () => {
     try {
       const prefs = await getUserPreferences(projectId, uid, token);
-      if (!prefs || !shouldSendNotification(prefs, 'product')) return null;
-      const fcmToken = await getUserFcmToken(projectId, uid, token);
-      if (!fcmToken) return null;
-
-      const res = await sendNotificationToToken(projectId, fcmToken, title, body, data, token);
-      if (!res.success) {
-        universalLog('warn', 'favorite_send_failed', { offerId, uid, http: res.http, response: res.response });
-        return null;
-      }
+      if (!prefs || !shouldSendNotification(prefs, notificationType === 'saved_search' ? 'search' : 'product')) return null;
       return uid;
     } catch (err) {
       universalLog('error', 'notify_user_failed', { user: uid, error: err.message });
@@ -82,33 +106,204 @@ export async function notifyUsersAboutOffer(
     }
   })());
 
-  const results = await Promise.allSettled(tasks);
-  const notified = results
+  const recipients = (await Promise.allSettled(tasks))
     .filter(r => r.status === 'fulfilled' && r.value)
     .map(r => r.value);
+  const dispatch = await dispatchToUsers(
+    projectId,
+    token,
+    recipients,
+    () => notificationMessage({}, title, body, data),
+    { tag: 'favorite_send', context: { offerId }, notificationType }
+  );
+  const notified = dispatch.delivered;
+  const inboxOnly = notificationId ? dispatch.suppressed.map(s => s.uid) : [];
 
   if (notified.length > 0) {
     await createFirestoreNotificationDoc(projectId, token, offerId, notified, 'favorites');
+  }
 
-    if (notificationId) {
-      const client = await getPool().connect();
-      try {
-        for (const uid of notified) {
-          const reason = finalReasonByUid[uid] ?? (offerId ? String(offerId) : null);
-          await client.query(
-            'INSERT INTO users_notifications (uid, sent_at, notification_id, withdrawn, read, reason) VALUES ($1, $2, $3, $4, $5, $6)',
-            [uid, new Date(), notificationId, false, false, reason]
-          );
-        }
-      } catch (err) {
-        universalLog('warn', 'favorites_users_notifications_insert_failed', { offerId, error: err.message });
-      } finally {
-        try { client.release(); } catch (_) {}
-      }
+  if (notificationId && notified.length + inboxOnly.length > 0) {
+    const entries = [
+      ...notified.map(uid => ({ uid, pushed: true })),
+      ...inboxOnly.map(uid => ({ uid, pushed: false }))
+    ].map(e => ({
+      ...e,
+      reason: finalReasonByUid[e.uid] ?? (offerId ? String(offerId) : null),
+      threshold: thresholdByUid?.[e.uid] ?? null
+    }));
+    try {
+      await recordUserNotifications(notificationId, notificationType, entries);
+    } catch (err) {
+      universalLog('warn', 'favorites_users_notifications_insert_failed', { offerId, error: err.message });
     }
+    await publishInboxEvent(entries.map(e => e.uid), { type: 'notification', notification_id: notificationId });
+  }
+
+  return [...notified, ...inboxOnly];
+}
+
+// One saved-search digest (services/digests.js) for one user: a push to their devices,
+// unless quiet hours hold it back, and an inbox entry opening the digest. Digests are
+// not capped, the user asked for them. Returns { notificationId, pushed }.
+export async function notifyUserAboutDigest(projectId, token, uid, { digestId, title, body, image = null }) {
+  const prefs = await getUserPreferences(projectId, uid, token);
+  if (!prefs || !shouldSendNotification(prefs, 'search')) return { notificationId: null, pushed: false };
+
+  const data = { target: String(digestId), calltoaction: 'favorites_digest', image: optimizeAmazonImage(image) };
+  const client = await getPool().connect();
+  let notificationId = null;
+  try {
+    const res = await client.query(
+      'INSERT INTO notifications (offer_id, title, body, target, created_at) VALUES (NULL, $1, $2, $3, $4) RETURNING id',
+      [title, body, data.target, new Date()]
+    );
+    notificationId = res.rows[0]?.id ?? null;
+  } finally {
+    client.release();
+  }
+
+  const dispatch = await dispatchToUsers(
+    projectId,
+    token,
+    [uid],
+    () => notificationMessage({}, title, body, data),
+    { tag: 'digest_send', context: { digestId, uid }, notificationType: 'digest' }
+  );
+  const pushed = dispatch.delivered.includes(uid);
+
+  await recordUserNotifications(notificationId, 'digest', [{ uid, pushed, reason: String(digestId) }]);
+  await publishInboxEvent([uid], { type: 'notification', notification_id: notificationId });
+  return { notificationId, pushed };
+}
+
+// --- Manual notifications (POST /send-notification, scheduled ones included) ---
+
+// `body` is { type: 'custom', title, body, cta, target? } or { type: 'offer', offer_id },
+// optionally limited to `uids`. Returns the problem as a string, null when it can be sent.
+export function manualNotificationError(body) {
+  if (body?.type !== 'custom' && body?.type !== 'offer') return 'type must be "custom" or "offer"';
+  if (body.type === 'custom' && (!body.title || !body.body || !body.cta)) return 'title, body, cta are required for custom type';
+  if (body.type === 'offer' && !body.offer_id) return 'offer_id is required for offer type';
+  if (body.uids !== undefined && body.uids !== null && !Array.isArray(body.uids)) return 'uids must be an array';
+  return null;
+}
+
+async function renderManualNotification(body) {
+  const error = manualNotificationError(body);
+  if (error) throw new Error(error);
+
+  if (body.type === 'custom') {
+    return {
+      title: body.title,
+      body: body.body,
+      data: { calltoaction: body.cta, target: body.target || body.cta_target || body.cta }
+    };
+  }
+
+  const offer = await getOfferById(body.offer_id);
+  if (!offer) throw new Error('offer not found');
+  return {
+    title: `🔥 ${offer.title || 'Nuova Super Offerta!'}`,
+    body: `A soli ${offer.price ?? '—'}€ invece di ${offer.old_price ?? '—'}€ (-${offer.perc ?? '—'}%)`,
+    data: { target: String(body.offer_id), calltoaction: 'offer_detail', special_offer: 'true', image: optimizeAmazonImage(offer.original_image) }
+  };
+}
+
+async function manualNotificationRecipients(body) {
+  const uids = Array.isArray(body.uids) ? body.uids : null;
+  let query = body.type === 'offer'
+    ? `SELECT uid FROM "users" WHERE superoffers = true AND ${USER_HAS_DEVICE_SQL}`
+    : `SELECT uid FROM "users" WHERE ${USER_HAS_DEVICE_SQL}`;
+  const params = [];
+  if (uids) {
+    const placeholders = uids.map((_, idx) => `$${idx + 1}`).join(',');
+    query += ` AND uid IN (${placeholders})`;
+    params.push(...uids);
+  }
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(query, params);
+    return res.rows.map(r => r.uid);
+  } finally {
+    client.release();
   }
+}
 
-  return notified;
+// What sendManualNotification() would send right now, and to how many users, without
+// sending anything.
+export async function previewManualNotification(body) {
+  const [message, recipients] = await Promise.all([renderManualNotification(body), manualNotificationRecipients(body)]);
+  return { ...message, recipients: recipients.length };
+}
+
+export async function sendManualNotification(body) {
+  const type = body.type;
+  const [projectId, accessToken] = await Promise.all([getProjectId(), getAccessToken()]);
+  if (!projectId || !accessToken) throw new Error('FCM credentials not available');
+
+  const { title, body: bodyText, data } = await renderManualNotification(body);
+  const recipients = await manualNotificationRecipients(body);
+  if (recipients.length === 0) {
+    return { sent: 0, total: 0, notificationId: null };
+  }
+
+  // Create notification record
+  let notificationId = null;
+  const client = await getPool().connect();
+  try {
+    const notifRes = await client.query(
+      'INSERT INTO "notifications" (offer_id, title, body, target, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [type === 'offer' ? body.offer_id : null, title, bodyText, data.target || (type === 'offer' ? body.offer_id : body.cta), new Date()]
+    );
+    notificationId = notifRes.rows[0].id;
+  } finally {
+    client.release();
+  }
+
+  if (!notificationId) {
+    throw new Error('Failed to create notification');
+  }
+
+  // Manual offer pushes count as super offers for the users' caps.
+  const notificationType = type === 'offer' ? 'superoffer' : 'custom';
+  const payloadBase = {
+    type: 'push',
+    notif_id: String(notificationId),
+    title,
+    body: bodyText,
+    ...data
+  };
+
+  const dispatch = await dispatchToUsers(
+    projectId,
+    accessToken,
+    recipients,
+    () => dataMessage({}, payloadBase),
+    { tag: 'send_notification', context: { type, notificationId }, notificationType }
+  );
+  const successfulSends = dispatch.delivered;
+
+  // Insert per-user notification rows (held back users only get the inbox entry)
+  const entries = [
+    ...successfulSends.map(uid => ({ uid, pushed: true })),
+    ...dispatch.suppressed.map(s => ({ uid: s.uid, pushed: false }))
+  ];
+  if (entries.length > 0) {
+    await recordUserNotifications(notificationId, notificationType, entries);
+    await publishInboxEvent(entries.map(e => e.uid), { type: 'notification', notification_id: notificationId });
+  }
+
+  return {
+    sent: successfulSends.length,
+    suppressed: dispatch.suppressed.length,
+    total: recipients.length,
+    notificationId,
+    devices: dispatch.devices,
+    devicesSent: dispatch.sent,
+    errorCounts: dispatch.errorCounts,
+    invalidTokens: dispatch.invalidTokens
+  };
 }
 
 export async function sendSuperOfferNotification(projectId, token, post, offerId) {
@@ -117,14 +312,15 @@ export async function sendSuperOfferNotification(projectId, token, post, offerId
   const imageUrl = optimizeAmazonImage(post.original_image);
   const data = { target: String(offerId), calltoaction: 'offer_detail', special_offer: 'true', image: imageUrl };
 
-  // Fetch recipients from Postgres (users.superoffers = true and token_fcm present)
+  // Fetch recipients from Postgres (users.superoffers = true with a device); their devices
+  // are resolved by dispatchToUsers
   const client = await getPool().connect();
   let recipients = [];
   try {
     const res = await client.query(
-      'SELECT uid, token_fcm FROM "users" WHERE superoffers = true AND token_fcm IS NOT NULL'
+      `SELECT uid FROM "users" WHERE superoffers = true AND ${USER_HAS_DEVICE_SQL}`
     );
-    recipients = res.rows;
+    recipients = res.rows.map(r => r.uid);
   } catch (err) {
     universalLog('error', 'superoffer_recipients_query_failed', { error: err.message });
   } finally {
@@ -136,32 +332,66 @@ export async function sendSuperOfferNotification(projectId, token, post, offerId
     return;
   }
 
-  const sendAll = recipients.map(({ uid, token_fcm }) => (
-    (async () => {
+  const dispatch = await dispatchToUsers(
+    projectId,
+    token,
+    recipients,
+    () => notificationMessage({}, title, body, data),
+    { tag: 'superoffer_send', context: { offerId }, notificationType: 'superoffer' }
+  );
+  const notified = dispatch.delivered;
+
+  // Pushed super offers get no inbox entry; the users held back by quiet hours or caps
+  // get one (pushed = false) so the offer still reaches them.
+  const inboxOnly = dispatch.suppressed.map(s => s.uid);
+  if (inboxOnly.length > 0) {
+    try {
+      const clientNotif = await getPool().connect();
+      let notificationId = null;
       try {
-        const res = await sendNotificationToToken(projectId, token_fcm, title, body, data, token);
-        if (!res.success) {
-          universalLog('warn', 'superoffer_send_failed', { offerId, uid, http: res.http, response: res.response });
-        }
-        return res.success ? uid : null;
-      } catch (err) {
-        universalLog('error', 'superoffer_send_error', { offerId, uid, error: err.message });
-        return null;
+        const notifRes = await clientNotif.query(
+          'INSERT INTO notifications (offer_id, title, body, target, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+          [offerId ?? null, title, body, data.target, new Date()]
+        );
+        notificationId = notifRes.rows[0]?.id ?? null;
+      } finally {
+        clientNotif.release();
       }
-    })()
-  ));
-
-  const results = await Promise.allSettled(sendAll);
-  const notified = results
-    .filter(r => r.status === 'fulfilled' && r.value)
-    .map(r => r.value);
+      await recordUserNotifications(notificationId, 'superoffer', inboxOnly.map(uid => ({ uid, pushed: false, reason: String(offerId) })));
+      if (notificationId) await publishInboxEvent(inboxOnly, { type: 'notification', notification_id: notificationId });
+    } catch (err) {
+      universalLog('warn', 'superoffer_users_notifications_insert_failed', { offerId, error: err.message });
+    }
+  }
 
   if (notified.length > 0) {
     await createFirestoreNotificationDoc(projectId, token, offerId, notified, 'superoffer');
-    universalLog('info', 'superoffer_notification_sent_fanout', { offerId, count: notified.length });
+    universalLog('info', 'superoffer_notification_sent_fanout', { offerId, count: notified.length, suppressed: dispatch.suppressed.length });
   } else {
-    universalLog('warn', 'superoffer_notification_sent_zero', { offerId, attempted: recipients.length });
+    universalLog('warn', 'superoffer_notification_sent_zero', { offerId, attempted: recipients.length, devices: dispatch.devices, errorCounts: dispatch.errorCounts });
+  }
+}
+
+// One retract per device of every user that got the notification, so it disappears from
+// each of them.
+async function withdrawalRecipients(rows, context) {
+  let devices = [];
+  try {
+    devices = await listActiveDevices(rows.map(r => r.uid));
+  } catch (err) {
+    universalLog('error', 'withdraw_devices_query_failed', { ...context, error: err.message });
   }
+  const tokensByUid = new Map();
+  for (const d of devices) {
+    if (!tokensByUid.has(d.uid)) tokensByUid.set(d.uid, []);
+    tokensByUid.get(d.uid).push(d.token);
+  }
+  return rows.flatMap(r => (tokensByUid.get(r.uid) || []).map(tkn => ({
+    uid: r.uid,
+    token: tkn,
+    notificationId: r.notification_id,
+    target: r.target
+  })));
 }
 
 export async function withdrawOfferNotifications(projectId, offerId, token) {
@@ -172,9 +402,9 @@ export async function withdrawOfferNotifications(projectId, offerId, token) {
   }
 
   const rows = res.rows || [];
-  const recipients = rows
-    .map(r => ({ token: r.token_fcm, notificationId: r.notification_id, target: r.target ?? offerId }))
-    .filter(r => r.token);
+  await publishInboxEvent(rows.map(r => r.uid), { type: 'withdrawn', notification_ids: res.notificationIds || [] });
+  const recipients = (await withdrawalRecipients(rows, { offerId }))
+    .map(r => ({ ...r, target: r.target ?? offerId }));
 
   const payloadBase = {
     type: 'retract',
@@ -187,33 +417,19 @@ export async function withdrawOfferNotifications(projectId, offerId, token) {
     return { updated: res.updated || 0, sent: 0 };
   }
 
-  const sendAll = recipients.map(({ token: tkn, notificationId, target }) => (async () => {
-    try {
-      const sent = await sendDataMessageToToken(
-        projectId,
-        tkn,
-        {
-          ...payloadBase,
-          target: target ? String(target) : undefined,
-          notif_id: notificationId ? String(notificationId) : undefined
-        },
-        token
-      );
-      return sent.success;
-    } catch (err) {
-      universalLog('error', 'withdraw_offer_send_failed', { offerId, error: err.message });
-      return false;
-    }
-  })());
-
-  const outcomes = await Promise.allSettled(sendAll);
-  const successCount = outcomes.filter(r => r.status === 'fulfilled' && r.value).length;
-  const failureCount = outcomes.filter(r => r.status === 'fulfilled' && !r.value).length;
-  if (failureCount > 0) {
-    universalLog('warn', 'withdraw_offer_send_partial', { offerId, successCount, failureCount, tokens: tokens.length });
-  }
-
-  return { updated: res.updated || 0, sent: successCount };
+  const dispatch = await dispatchFcmMessages(
+    projectId,
+    token,
+    recipients,
+    ({ notificationId, target }) => dataMessage({}, {
+      ...payloadBase,
+      target: target ? String(target) : undefined,
+      notif_id: notificationId ? String(notificationId) : undefined
+    }),
+    { tag: 'withdraw_offer_send', context: { offerId } }
+  );
+
+  return { updated: res.updated || 0, sent: dispatch.sent };
 }
 
 export async function withdrawNotificationByIdFanout(projectId, notificationId, token) {
@@ -224,9 +440,8 @@ export async function withdrawNotificationByIdFanout(projectId, notificationId,
   }
 
   const rows = res.rows || [];
-  const recipients = rows
-    .map(r => ({ token: r.token_fcm, target: r.target, notificationId: r.notification_id }))
-    .filter(r => r.token);
+  await publishInboxEvent(rows.map(r => r.uid), { type: 'withdrawn', notification_ids: res.notificationIds || [] });
+  const recipients = await withdrawalRecipients(rows, { notificationId });
 
   if (!projectId || !token) {
     universalLog('warn', 'withdraw_notification_no_fcm_creds', { notificationId, tokens: recipients.length });
@@ -235,33 +450,19 @@ export async function withdrawNotificationByIdFanout(projectId, notificationId,
 
   const payloadBase = { type: 'retract', withdrawn: 'true', calltoaction: 'withdraw_offer' };
 
-  const sendAll = recipients.map(({ token: tkn, target, notificationId: notifId }) => (async () => {
-    try {
-      const sent = await sendDataMessageToToken(
-        projectId,
-        tkn,
-        {
-          ...payloadBase,
-          target: target ? String(target) : undefined,
-          notif_id: notifId ? String(notifId) : String(notificationId)
-        },
-        token
-      );
-      return sent.success;
-    } catch (err) {
-      universalLog('error', 'withdraw_notification_send_failed', { notificationId, error: err.message });
-      return false;
-    }
-  })());
-
-  const outcomes = await Promise.allSettled(sendAll);
-  const successCount = outcomes.filter(r => r.status === 'fulfilled' && r.value).length;
-  const failureCount = outcomes.filter(r => r.status === 'fulfilled' && !r.value).length;
-  if (failureCount > 0) {
-    universalLog('warn', 'withdraw_notification_send_partial', { notificationId, successCount, failureCount, tokens: recipients.length });
-  }
-
-  return { updated: res.updated || 0, sent: successCount };
+  const dispatch = await dispatchFcmMessages(
+    projectId,
+    token,
+    recipients,
+    ({ target, notificationId: notifId }) => dataMessage({}, {
+      ...payloadBase,
+      target: target ? String(target) : undefined,
+      notif_id: notifId ? String(notifId) : String(notificationId)
+    }),
+    { tag: 'withdraw_notification_send', context: { notificationId } }
+  );
+
+  return { updated: res.updated || 0, sent: dispatch.sent };
 }
 
 function optimizeAmazonImage(url) {
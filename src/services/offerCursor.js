@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+
+// Opaque keyset cursors for GET /offers. A cursor carries the sort tuple of the last row
+// returned (pinned state, order column, offer_id) plus a fingerprint of the query it
+// belongs to, and is HMAC-signed so clients cannot forge positions.
+
+let secret = config.offersCursorSecret;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  universalLog('warn', 'offers_cursor_secret_missing', { note: 'cursors will not survive a restart or work across instances' });
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// The same filters in any key order give the same fingerprint; paging params are left out.
+export function queryFingerprint(query, sortKeys) {
+  const { cursor: _c, limit: _l, page: _p, offset: _o, afterId: _a, startAfter: _s, debug: _d, ...rest } = query || {};
+  const stable = JSON.stringify(sortDeep({ rest, sort: sortKeys.map(k => `${k.column} ${k.dir}`) }));
+  return crypto.createHash('sha256').update(stable).digest('base64url').slice(0, 16);
+}
+
+function sortDeep(value) {
+  if (Array.isArray(value)) return value.map(sortDeep);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortDeep(value[k])]));
+  }
+  return value;
+}
+
+// `extra` carries anything else the next page must reuse to reproduce the same order
+// (e.g. the reference time of relevance scores).
+export function encodeCursor(row, sortKeys, fingerprint, extra = null) {
+  const payload = { v: sortKeys.map(k => row[k.column] ?? null), f: fingerprint };
+  if (extra !== null) payload.x = extra;
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Returns { values, extra }, or null when the cursor is malformed, tampered with, or was
+// issued for a different query or sort.
+export function decodeCursor(token, sortKeys, fingerprint) {
+  if (typeof token !== 'string') return null;
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+  const expected = sign(data);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+  if (!decoded || decoded.f !== fingerprint || !Array.isArray(decoded.v) || decoded.v.length !== sortKeys.length) return null;
+  return { values: decoded.v, extra: decoded.x ?? null };
+}
+
+// Postgres sorts NULLs first in DESC and last in ASC, i.e. as the largest value either
+// way; the comparisons below follow the same rule so NULL sort values page correctly.
+function afterClause(expr, dir, placeholder, value) {
+  if (dir === 'DESC') return value === null ? `${expr} IS NOT NULL` : `${expr} < ${placeholder}`;
+  return value === null ? 'false' : `(${expr} > ${placeholder} OR ${expr} IS NULL)`;
+}
+
+function equalClause(expr, placeholder, value) {
+  return value === null ? `${expr} IS NULL` : `${expr} = ${placeholder}`;
+}
+
+// WHERE condition selecting the rows that sort strictly after `values`.
+// Returns { sql, params } with placeholders numbered from `startIndex`.
+export function buildCursorCondition(sortKeys, values, startIndex) {
+  const params = [];
+  const placeholders = values.map(v => {
+    if (v === null) return null;
+    params.push(v);
+    return `$${startIndex + params.length - 1}`;
+  });
+
+  const branches = sortKeys.map((key, i) => {
+    const parts = [];
+    for (let j = 0; j < i; j++) parts.push(equalClause(`"${sortKeys[j].column}"`, placeholders[j], values[j]));
+    parts.push(afterClause(`"${key.column}"`, key.dir, placeholders[i], values[i]));
+    return `(${parts.join(' AND ')})`;
+  });
+
+  return { sql: `(${branches.join(' OR ')})`, params };
+}
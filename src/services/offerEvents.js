@@ -0,0 +1,462 @@
+import { CATEGORIES } from '../config.js';
+import { universalLog } from '../logger.js';
+import { assignCategoryWithGroq } from './groq.js';
+import { deleteAtPlusDays, determineMainCategory, keywordMatchInput, priceDropThresholdFired, targetPriceRearmed, toBool } from '../utils.js';
+import { findFavoritersByOffer, hasOfferBeenNotified } from './firestore.js';
+import { getAccessToken, getProjectId } from './auth.js';
+import { notifyUsersAboutOffer, sendSuperOfferNotification, withdrawOfferNotifications } from './notifications.js';
+import { queueOfferPurge } from './cache.js';
+import {
+  buildRowFromPost,
+  getOfferByCode,
+  inferColumnTypes,
+  insertOrUpdateOffer,
+  markOfferDeleted,
+  hardDeleteOffer,
+  hasNewerDeletion,
+  findUsersWithMatchingKeywords,
+  listOfferFavoritesWithThresholds,
+  markFavoritesPriceNotified
+} from './postgres.js';
+import { getAppInitConfig } from './appInit.js';
+import { extractProductIdentity, recordAliasEvent, recordOfferMerge, resolveDuplicateOffer, stampProductIdentity } from './offerMatching.js';
+import { DEFAULT_CHANNEL_PRIORITY, getChannelPriority, getChannelSettings } from './channels.js';
+import { DIGEST_MODES, queueDigestItems } from './digests.js';
+
+function applyChatGptOverride(post) {
+  const chatgpt = post?.chatgpt;
+  if (!chatgpt || typeof chatgpt !== 'object') return post;
+  const map = {
+    title: 'title',
+    descr: 'description',
+    custom1: 'custom1',
+    custom2: 'custom2',
+    custom3: 'custom3',
+    custom4: 'custom4',
+    custom5: 'custom5',
+    custom6: 'custom6',
+    emojicat: 'emojicat',
+    features: 'features'
+  };
+  const next = { ...post };
+  for (const [src, dest] of Object.entries(map)) {
+    if (!(src in chatgpt)) continue;
+    const val = chatgpt[src];
+    const shouldOverride = Array.isArray(val) ? val.length > 0 : String(val || '').trim() !== '';
+    if (shouldOverride) next[dest] = val;
+  }
+  return next;
+}
+
+// Queued rather than awaited: the purge is debounced and batched with the other offer
+// writes of the same burst (see services/cache.js).
+function purgeOffer(offerId, existing, post) {
+  try {
+    queueOfferPurge({ offerId, before: existing, after: post });
+  } catch (err) {
+    universalLog('error', 'cloudflare_purge_queue_failed', { error: err.message, offerId });
+  }
+}
+
+// Pushes are the last thing an event does, and a failing one is only logged: if it threw,
+// the job would be retried and every push already sent would go out again.
+async function notifySafe(tag, context, send) {
+  try {
+    await send();
+  } catch (err) {
+    universalLog('error', tag, { ...context, error: err.message });
+  }
+}
+
+async function withdrawNotificationsSafe(projectId, token, offerId) {
+  if (!offerId) return;
+  try {
+    await withdrawOfferNotifications(projectId, offerId, token);
+  } catch (err) {
+    universalLog('error', 'withdraw_notifications_error', { offerId, error: err.message });
+  }
+}
+
+// Only favoriters whose own threshold (target price, minimum drop) is crossed get a push;
+// the threshold that fired is stored on their users_notifications row.
+async function notifyPriceDrop(projectId, accessToken, post, offerId, incomingOfferId, oldPrice, newPrice) {
+  const favorites = await listOfferFavoritesWithThresholds([offerId, incomingOfferId]);
+  const fired = new Map();
+  const rearmed = [];
+  for (const fav of favorites) {
+    if (targetPriceRearmed(fav, newPrice)) rearmed.push(fav.id);
+    if (fired.has(fav.uid)) continue;
+    const threshold = priceDropThresholdFired(fav, oldPrice, newPrice);
+    if (threshold) fired.set(fav.uid, { favoriteId: fav.id, threshold });
+  }
+  await markFavoritesPriceNotified(rearmed, newPrice);
+  if (fired.size === 0) return;
+
+  const reasonByUid = {};
+  const thresholdByUid = {};
+  for (const [uid, { favoriteId, threshold }] of fired) {
+    if (favoriteId != null) reasonByUid[uid] = String(favoriteId);
+    thresholdByUid[uid] = threshold;
+  }
+  const notified = await notifyUsersAboutOffer(projectId, [...fired.keys()], post, offerId, accessToken, {
+    useHeartTitle: true,
+    reasonByUid,
+    thresholdByUid
+  });
+  const notifiedFavoriteIds = notified.map(uid => fired.get(uid)?.favoriteId).filter(id => id != null);
+  await markFavoritesPriceNotified(notifiedFavoriteIds, newPrice);
+}
+
+function eventTimestamp(payload) {
+  const ts = Number(payload?.timestamp);
+  return Number.isFinite(ts) && ts > 0 ? ts : null;
+}
+
+// Events are ordered by the payload `timestamp` against the `timestamp_edited` of the
+// last event applied to the offer; an older event (or one older than a hard delete of
+// the same code) would roll the offer back and is dropped.
+export async function isStaleEvent(payload, existing) {
+  const ts = eventTimestamp(payload);
+  if (ts === null) return false;
+  if (existing) {
+    const appliedTs = Number(existing.timestamp_edited);
+    return Number.isFinite(appliedTs) && ts < appliedTs;
+  }
+  const code = payload?.post?.code;
+  return code ? hasNewerDeletion(String(code), ts) : false;
+}
+
+function stampEventTimestamp(post, eventTs) {
+  if (eventTs === null) return;
+  const current = Number(post.timestamp_edited);
+  post.timestamp_edited = Number.isFinite(current) ? Math.max(current, eventTs) : eventTs;
+}
+
+// Runs one POST_CREATED / POST_EDITED / POST_DELETED event end to end. Returns
+// `{ ok: true, action }` when handled and `{ ok: false, error }` when the payload can
+// never succeed; throws on transient failures so the caller can retry.
+export async function processOfferEvent(payload) {
+  // Fetch app init config
+  let appInit = {};
+  try {
+    appInit = await getAppInitConfig();
+  } catch (err) {
+    universalLog('error', 'app_init_fetch_failed_manage_offer', { error: err.message });
+    appInit = { accept_incoming_requests: false, send_favorites_notifications: false, send_super_offers_notifications: false };
+  }
+
+  // Check if incoming requests are accepted
+  if (!appInit.accept_incoming_requests) {
+    return { ok: true, action: 'skipped_incoming_disabled' };
+  }
+
+  const type = payload?.type;
+  // Replays (an admin undoing a merge re-applies the alias's latest post) change the
+  // offer only: its users were already alerted about it.
+  const replay = payload?.replay === true;
+  const timestampRequest = payload?.timestamp ?? null;
+  let post = payload?.post ?? null;
+  if (!type || !post || !post.offer_id) {
+    return { ok: false, error: 'Missing fields' };
+  }
+
+  if (post.title_clean) post.title = post.title_clean;
+  post = applyChatGptOverride(post);
+
+  const isExplicit = post.is_explicit ?? false;
+  const channelId = String(post.channel_id || '');
+  const channel = await getChannelSettings(channelId);
+  const link = post.link || '';
+  if (
+    isExplicit ||
+    channel.skip ||
+    link.includes('\\u0026aod\\u003d1')
+  ) {
+    return { ok: true, action: 'skipped' };
+  }
+
+  if (!post.category_original && channel.default_category) {
+    post.category_original = channel.default_category;
+    if (!post.category) post.category = channel.default_category;
+  }
+
+  const colTypes = await inferColumnTypes();
+  let projectId = '';
+  let accessToken = '';
+  try {
+    projectId = await getProjectId();
+    accessToken = await getAccessToken();
+  } catch (err) {
+    universalLog('warn', 'firebase_auth_failed', { error: err.message });
+  }
+
+  const newPriority = channel.priority;
+  const code = post.code || '';
+  if (!code) return { ok: false, error: 'Missing code' };
+
+  const identity = extractProductIdentity(post);
+  let existing = await getOfferByCode(code);
+  let match = null;
+  if (!existing) {
+    match = await resolveDuplicateOffer({ code, post, identity });
+    existing = match?.offer ?? null;
+  }
+  let existingPriority = DEFAULT_CHANNEL_PRIORITY;
+  let existingDocIsActive = false;
+  let docIdToUse = post.offer_id;
+  if (existing) {
+    docIdToUse = existing.offer_id;
+    existingPriority = await getChannelPriority(String(existing.channel_id || ''));
+    existingDocIsActive = !toBool(existing.is_expired) && !toBool(existing.is_deleted);
+  }
+
+  const eventTs = eventTimestamp(payload);
+  // A merged offer is also fed by other channels, so its timestamp_edited says nothing
+  // about the order of this code's own events.
+  if (await isStaleEvent(payload, match ? null : existing)) {
+    universalLog('info', 'offer_event_stale', { code, type, eventTs, appliedTs: existing?.timestamp_edited ?? null });
+    return { ok: true, action: 'stale_event', offer_id: docIdToUse };
+  }
+
+  if (match) {
+    if (match.isNew) {
+      await recordOfferMerge({
+        offerId: existing.offer_id,
+        incomingOfferId: String(post.offer_id),
+        incomingCode: code,
+        channelId,
+        kind: match.kind,
+        value: match.value,
+        score: match.score,
+        eventType: type,
+        payload
+      });
+      universalLog('info', 'offer_merged', { code, offerId: existing.offer_id, kind: match.kind, score: match.score });
+    }
+    // The canonical offer keeps its own code; this code now resolves to it through offer_merges.
+    if (existing.code) post.code = existing.code;
+  }
+  stampProductIdentity(post, identity);
+
+  // Most channels share the default priority, so for a merged alias code "same priority"
+  // is not enough: only the channel that owns the canonical offer, or a strictly
+  // higher-priority one, may overwrite or delete it.
+  const canOverwrite = match
+    ? channelId === String(existing.channel_id || '') || newPriority < existingPriority
+    : newPriority <= existingPriority;
+  if (match) {
+    await recordAliasEvent({ offerId: existing.offer_id, incomingCode: code, payload, overwrites: canOverwrite });
+  }
+
+  const superOfferNotify = toBool(post.super_offer_notify);
+  delete post.super_offer_notify;
+  // post.offer_id is rewritten to the stored offer's id before saving; favorites may
+  // still point at the incoming one.
+  const incomingOfferId = post.offer_id || null;
+  const sendSuperOffer = () => {
+    if (replay || !superOfferNotify || !projectId || !accessToken || !appInit.send_super_offers_notifications) return null;
+    return notifySafe('superoffer_notify_failed', { offerId: docIdToUse }, () => sendSuperOfferNotification(projectId, accessToken, post, docIdToUse));
+  };
+
+  if (type === 'POST_CREATED') {
+    if ((post.is_expired ?? false) || (post.is_deleted ?? false)) {
+      if (canOverwrite) {
+        await withdrawNotificationsSafe(projectId, accessToken, docIdToUse);
+        const favoriters = await findFavoritersByOffer(projectId, docIdToUse, accessToken);
+        const notified = await hasOfferBeenNotified(projectId, docIdToUse, accessToken);
+        if (favoriters.length > 0) {
+          await markOfferDeleted(docIdToUse, post.timestamp ? Number(post.timestamp) : null, eventTs);
+          purgeOffer(docIdToUse, existing, post);
+          return { ok: true, action: 'ignored_deleted_because_in_favorites' };
+        } else if (notified) {
+          await markOfferDeleted(docIdToUse, deleteAtPlusDays(), eventTs);
+          purgeOffer(docIdToUse, existing, post);
+          return { ok: true, action: 'soft_deleted' };
+        }
+        await hardDeleteOffer(docIdToUse);
+        purgeOffer(docIdToUse, existing, post);
+        return { ok: true, action: 'deleted_via_create' };
+      }
+      return { ok: true, action: 'delete_ignored' };
+    }
+
+    if (existing && !canOverwrite && (match || existingDocIsActive)) {
+      await sendSuperOffer();
+      return { ok: true, action: 'skipped', reason: 'lower_priority_channel' };
+    }
+
+    if (post.timestamp === -1) {
+      post.timestamp = timestampRequest === -1 ? Date.now() : timestampRequest;
+    }
+
+    await assignCategoryWithGroq(post, docIdToUse);
+    post.daily_offer = channel.daily_offer;
+    post.main_category = determineMainCategory(post.category_original ?? null);
+    if (existing) post.offer_id = existing.offer_id;
+    if (Array.isArray(post.features) && post.features.length === 0) delete post.features;
+
+    stampEventTimestamp(post, eventTs);
+    let row = buildRowFromPost(payload, post, colTypes);
+    row.offer_id = docIdToUse;
+
+    const wasPreviouslyFlagged = existing ? toBool(existing.is_expired) || toBool(existing.is_deleted) : false;
+    const isNowAvailable = (post.is_expired ?? false) === false && (post.is_deleted ?? false) === false;
+
+    await insertOrUpdateOffer(row);
+    purgeOffer(docIdToUse, existing, post);
+
+    await sendSuperOffer();
+    if (!replay && existing && wasPreviouslyFlagged && isNowAvailable && projectId && accessToken && appInit.send_favorites_notifications) {
+      await notifySafe('back_in_stock_notify_failed', { offerId: docIdToUse }, async () => {
+        const favoriters = await findFavoritersByOffer(projectId, docIdToUse, accessToken, incomingOfferId);
+        if (favoriters.length > 0) {
+          await notifyUsersAboutOffer(projectId, favoriters, post, docIdToUse, accessToken, { useHeartTitle: true, isAvailableAgain: true });
+        }
+      });
+    }
+
+    // Digest items are only queued here and sent by their own worker, so they do not
+    // depend on this event having FCM credentials.
+    if (post.title && !replay) {
+      try {
+        const matches = await findUsersWithMatchingKeywords({
+          ...keywordMatchInput(post),
+          offerId: docIdToUse,
+        });
+
+        const keywordMatches = matches.filter(m => m.matchType === 'keyword');
+        const instantMatches = keywordMatches.filter(m => !DIGEST_MODES.includes(m.deliveryMode));
+        const keywordUids = Array.from(new Set(instantMatches.map(m => m.userId)));
+        const reasonByUid = {};
+        for (const m of instantMatches) {
+          if (m.userId && m.favoriteId != null) {
+            reasonByUid[m.userId] = String(m.favoriteId);
+          }
+        }
+        // Users already getting an instant push for this offer do not need it in a digest too.
+        const digestMatches = keywordMatches
+          .filter(m => DIGEST_MODES.includes(m.deliveryMode) && !keywordUids.includes(m.userId))
+          .map(m => ({ uid: m.userId, favoriteId: m.favoriteId }));
+
+        if (keywordUids.length > 0 && projectId && accessToken && appInit.send_favorites_notifications) {
+          await notifyUsersAboutOffer(projectId, keywordUids, post, docIdToUse, accessToken, {
+            useHeartTitle: true,
+            reasonByUid,
+            notificationType: 'saved_search',
+          });
+        }
+        if (digestMatches.length > 0 && appInit.send_favorites_notifications) {
+          await queueDigestItems(docIdToUse, digestMatches);
+        }
+      } catch (err) {
+        universalLog('warn', 'keyword_match_notify_failed', { error: err.message, offerId: docIdToUse });
+      }
+    }
+
+    return { ok: true, action: 'created', offer_id: docIdToUse };
+  }
+
+  if (type === 'POST_EDITED') {
+    const isExpiredOrDeleted = (post.is_expired ?? false) || (post.is_deleted ?? false);
+    if (isExpiredOrDeleted) {
+      if (canOverwrite) {
+        await withdrawNotificationsSafe(projectId, accessToken, docIdToUse);
+        const favoriters = await findFavoritersByOffer(projectId, docIdToUse, accessToken);
+        const notified = await hasOfferBeenNotified(projectId, docIdToUse, accessToken);
+        if (favoriters.length > 0) {
+          await markOfferDeleted(docIdToUse, post.timestamp ? Number(post.timestamp) : null, eventTs);
+          purgeOffer(docIdToUse, existing, post);
+          return { ok: true, action: 'ignored_deleted_because_in_favorites' };
+        } else if (notified) {
+          await markOfferDeleted(docIdToUse, deleteAtPlusDays(), eventTs);
+          purgeOffer(docIdToUse, existing, post);
+          return { ok: true, action: 'soft_deleted' };
+        }
+        await markOfferDeleted(docIdToUse, deleteAtPlusDays(), eventTs);
+        purgeOffer(docIdToUse, existing, post);
+        return { ok: true, action: 'soft_deleted_via_edit' };
+      }
+      return { ok: true, action: 'delete_ignored' };
+    }
+
+    if (!canOverwrite && (match || existingDocIsActive)) {
+      await sendSuperOffer();
+      return { ok: true, action: 'skipped', reason: 'lower_priority_on_edit' };
+    }
+
+    const existingPrice = existing?.price_numeric ? Number(existing.price_numeric) : null;
+    const newPrice = post.price_numeric !== undefined && post.price_numeric !== null && post.price_numeric !== '' ? Number(post.price_numeric) : null;
+    const wasPreviouslyFlagged = existing ? toBool(existing.is_expired) || toBool(existing.is_deleted) : false;
+    const isNowAvailable = (post.is_expired ?? false) === false && (post.is_deleted ?? false) === false;
+
+    if (post.timestamp === -1) {
+      post.timestamp = timestampRequest === -1 ? Date.now() : timestampRequest;
+    }
+
+    await assignCategoryWithGroq(post, docIdToUse);
+    const incomingCat = post.category || post.category_original || null;
+    const incomingValid = incomingCat ? CATEGORIES.some(c => c.toLowerCase() === incomingCat.toLowerCase()) : false;
+    if (!incomingValid && existing?.category) {
+      post.category = String(existing.category);
+      post.category_original = String(existing.category);
+    }
+
+    post.daily_offer = channel.daily_offer;
+    post.main_category = determineMainCategory(post.category_original ?? null);
+    if (existing) post.offer_id = existing.offer_id;
+    const wasSoftDeleted = existing ? toBool(existing.is_deleted) || toBool(existing.is_expired) : false;
+    const nowRestored = (post.is_deleted ?? false) === false && (post.is_expired ?? false) === false;
+    if (wasSoftDeleted && nowRestored) {
+      post.is_deleted = false;
+      post.is_expired = false;
+      post.timestamp_expired = -1;
+    }
+    if (Array.isArray(post.features) && post.features.length === 0) delete post.features;
+
+    stampEventTimestamp(post, eventTs);
+    const row = buildRowFromPost(payload, post, colTypes);
+    row.offer_id = docIdToUse;
+    await insertOrUpdateOffer(row);
+    purgeOffer(docIdToUse, existing, post);
+
+    await sendSuperOffer();
+    if (!replay && projectId && accessToken && appInit.send_favorites_notifications) {
+      await notifySafe('favorites_notify_failed', { offerId: docIdToUse }, async () => {
+        const favoriters = await findFavoritersByOffer(projectId, docIdToUse, accessToken, incomingOfferId);
+        if (favoriters.length === 0) return;
+        if (wasPreviouslyFlagged && isNowAvailable) {
+          await notifyUsersAboutOffer(projectId, favoriters, post, docIdToUse, accessToken, { useHeartTitle: true, isAvailableAgain: true });
+        }
+        if (newPrice !== null && !Number.isNaN(newPrice)) {
+          await notifyPriceDrop(projectId, accessToken, post, docIdToUse, incomingOfferId, existingPrice, newPrice);
+        }
+      });
+    }
+
+    return { ok: true, action: 'edited', offer_id: docIdToUse };
+  }
+
+  if (type === 'POST_DELETED') {
+    if (!canOverwrite) {
+      return { ok: true, action: 'skipped', reason: 'lower_priority_on_delete' };
+    }
+    await withdrawNotificationsSafe(projectId, accessToken, docIdToUse);
+    const favoriters = await findFavoritersByOffer(projectId, docIdToUse, accessToken);
+    const notified = await hasOfferBeenNotified(projectId, docIdToUse, accessToken);
+    if (favoriters.length > 0) {
+      await markOfferDeleted(docIdToUse, post.timestamp ? Number(post.timestamp) : null, eventTs);
+      purgeOffer(docIdToUse, existing, post);
+      return { ok: true, action: 'soft_deleted' };
+    }
+    if (notified) {
+      await markOfferDeleted(docIdToUse, deleteAtPlusDays(), eventTs);
+      purgeOffer(docIdToUse, existing, post);
+      return { ok: true, action: 'soft_deleted' };
+    }
+    await hardDeleteOffer(docIdToUse);
+    purgeOffer(docIdToUse, existing, post);
+    return { ok: true, action: 'deleted' };
+  }
+
+  return { ok: false, error: 'Unknown type' };
+}
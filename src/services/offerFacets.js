@@ -0,0 +1,101 @@
+// Facet counts for GET /offers. Each facet is counted over the request's WHERE clause
+// minus the clauses on its own column, so picking a store still shows how many results
+// the other stores would give.
+
+export const PAGINATION_CLAUSE = Symbol('pagination');
+
+const PRICE_BUCKETS = [[0, 10], [10, 25], [25, 50], [50, 100], [100, 250], [250, 500], [500, null]];
+const PERC_BUCKETS = [[0, 20], [20, 30], [30, 40], [40, 50], [50, 70], [70, null]];
+
+export const FACETS = {
+  store: { column: 'store' },
+  main_category: { column: 'main_category' },
+  category: { column: 'category' },
+  price: { column: 'price_numeric', buckets: PRICE_BUCKETS },
+  perc: { column: 'perc', buckets: PERC_BUCKETS }
+};
+
+const MAX_VALUES_PER_FACET = 50;
+
+function bucketKey([min, max]) {
+  return max === null ? `${min}+` : `${min}-${max}`;
+}
+
+function bucketCase(column, buckets) {
+  const whens = buckets.map(([min, max]) => {
+    const cond = max === null ? `"${column}" >= ${min}` : `"${column}" >= ${min} AND "${column}" < ${max}`;
+    return `WHEN ${cond} THEN '${bucketKey([min, max])}'`;
+  });
+  return `CASE ${whens.join(' ')} END`;
+}
+
+// `facets=1` (or true / all) asks for every facet, otherwise a comma-separated list or array of names.
+export function parseFacetsParam(value) {
+  if (value === undefined || value === null || value === '' || value === false) return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const names = raw.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+  if (names.length === 1 && ['1', 'true', 'yes', 'on', 'all'].includes(names[0])) return Object.keys(FACETS);
+  return [...new Set(names.filter(n => n in FACETS))];
+}
+
+// `where` / `whereColumns` are the clauses built by queryOffers (services/offersQuery.js)
+// and the column each one filters on. Every clause (and so every parameter) appears once in the CTE, which keeps
+// the placeholders of `params` valid in a single statement.
+export function buildFacetsQuery(facetNames, where, whereColumns) {
+  const facetColumns = new Set(facetNames.map(n => FACETS[n].column));
+  const shared = [];
+  const pagination = [];
+  const byColumn = new Map();
+  where.forEach((sql, i) => {
+    const column = whereColumns[i];
+    if (column === PAGINATION_CLAUSE) {
+      pagination.push(sql);
+    } else if (column && facetColumns.has(column)) {
+      if (!byColumn.has(column)) byColumn.set(column, []);
+      byColumn.get(column).push(sql);
+    } else {
+      shared.push(sql);
+    }
+  });
+
+  const flag = column => `"f_${column}"`;
+  const flagSelects = [...facetColumns].map(column => {
+    const clauses = byColumn.get(column) || [];
+    return `${clauses.length > 0 ? clauses.map(c => `(${c})`).join(' AND ') : 'true'} AS ${flag(column)}`;
+  });
+  // Cursor clauses do not narrow facets, but their parameters still need a reference.
+  if (pagination.length > 0) flagSelects.push(`(${pagination.join(' AND ')}) AS "f_pagination"`);
+  const selected = [...facetColumns].map(c => `"${c}"`);
+
+  const parts = facetNames.map(name => {
+    const { column, buckets } = FACETS[name];
+    const others = [...facetColumns].filter(c => c !== column).map(flag);
+    const filter = others.length > 0 ? `WHERE ${others.join(' AND ')}` : '';
+    const valueExpr = buckets ? bucketCase(column, buckets) : `"${column}"::text`;
+    return `(SELECT '${name}' AS facet, ${valueExpr} AS value, COUNT(*) AS count FROM base ${filter} GROUP BY 2)`;
+  });
+
+  return `WITH base AS (
+    SELECT ${[...selected, ...flagSelects].join(', ')}
+    FROM "offers" ${shared.length > 0 ? 'WHERE ' + shared.join(' AND ') : ''}
+  )
+  ${parts.join('\n  UNION ALL\n  ')}`;
+}
+
+export function shapeFacets(facetNames, rows) {
+  const out = Object.fromEntries(facetNames.map(n => [n, []]));
+  for (const row of rows) {
+    if (!(row.facet in out) || row.value === null) continue;
+    out[row.facet].push({ value: row.value, count: Number(row.count) });
+  }
+  for (const name of facetNames) {
+    const { buckets } = FACETS[name];
+    if (buckets) {
+      const counts = new Map(out[name].map(r => [r.value, r.count]));
+      out[name] = buckets.map(([min, max]) => ({ key: bucketKey([min, max]), min, max, count: counts.get(bucketKey([min, max])) || 0 }));
+    } else {
+      out[name] = out[name].sort((a, b) => b.count - a.count).slice(0, MAX_VALUES_PER_FACET);
+    }
+  }
+  return out;
+}
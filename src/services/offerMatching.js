@@ -0,0 +1,309 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+import { queueOfferPurge } from './cache.js';
+
+const ASIN_PATTERNS = [
+  /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/asin|o\/asin)\/([A-Z0-9]{10})(?=[/?#]|$)/i,
+  /[?&](?:asin|ASIN)=([A-Z0-9]{10})(?=&|$)/
+];
+
+const EAN_PARAM = /[?&](?:ean|gtin|gtin13|barcode)=(\d{8}|\d{13})(?=&|$)/i;
+
+const TRACKING_PARAMS = new Set([
+  'tag', 'ref', 'ref_', 'psc', 'smid', 'th', 'linkcode', 'linkid', 'ascsubtag', 'creative', 'creativeasin',
+  'camp', 'pd_rd_i', 'pd_rd_r', 'pd_rd_w', 'pd_rd_wg', 'pf_rd_p', 'pf_rd_r', 'qid', 'sr', 'keywords',
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', 'spm', 'scm', 'aff_platform',
+  'aff_trace_key', 'aff_fcid', 'aff_fsk', 'sk', 'terminal_id', 'afsmartredirect', 'mkcid', 'mkevt',
+  'mkrid', 'campid', 'toolid', 'customid', 'cid', 'affid', 'aff_id', 'clickid', 'source', 'srsltid'
+]);
+
+function isTrackingParam(name) {
+  const n = name.toLowerCase();
+  return TRACKING_PARAMS.has(n) || n.startsWith('utm_') || n.startsWith('aff_') || n.startsWith('pf_rd_') || n.startsWith('pd_rd_');
+}
+
+function validEan(digits) {
+  if (!/^(\d{8}|\d{13})$/.test(digits)) return false;
+  const nums = digits.split('').map(Number);
+  const check = nums.pop();
+  const sum = nums.reverse().reduce((acc, n, idx) => acc + n * (idx % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+export function extractAsin(url) {
+  if (!url) return null;
+  for (const pattern of ASIN_PATTERNS) {
+    const m = String(url).match(pattern);
+    if (m) return m[1].toUpperCase();
+  }
+  return null;
+}
+
+export function extractEan(url, title = '') {
+  const fromUrl = url ? String(url).match(EAN_PARAM) : null;
+  if (fromUrl && validEan(fromUrl[1])) return fromUrl[1];
+  const fromTitle = String(title || '').match(/\b(\d{13})\b/);
+  return fromTitle && validEan(fromTitle[1]) ? fromTitle[1] : null;
+}
+
+// Host without `www.`, path without trailing slash, no fragment and no tracking/affiliate
+// parameters; what is left is sorted so equivalent links compare equal.
+export function normalizeUrl(url) {
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (_) {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  return `${host}${path}${query}`;
+}
+
+export function titleTokens(title) {
+  return new Set(
+    String(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(t => t.length >= 2)
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+export function extractProductIdentity(post) {
+  const links = [post?.link, post?.short_link].filter(Boolean);
+  let asin = null;
+  let ean = null;
+  let canonicalUrl = null;
+  for (const link of links) {
+    asin = asin || extractAsin(link);
+    ean = ean || extractEan(link);
+    canonicalUrl = canonicalUrl || normalizeUrl(link);
+  }
+  ean = ean || extractEan(null, post?.title);
+  // Amazon links for the same ASIN vary wildly (slugs, marketplaces): the ASIN is the URL.
+  if (asin) canonicalUrl = `amazon/dp/${asin}`;
+  return { asin, ean, canonicalUrl };
+}
+
+// Copies the identity onto the post so buildRowFromPost stores it with the offer.
+// Missing values are left out so a poorer duplicate never blanks the canonical row.
+export function stampProductIdentity(post, identity) {
+  if (identity.asin) post.product_asin = identity.asin;
+  if (identity.ean) post.product_ean = identity.ean;
+  if (identity.canonicalUrl) post.canonical_url = identity.canonicalUrl;
+}
+
+async function findByIdentityColumn(client, column, value, code) {
+  const res = await client.query(
+    `SELECT o.* FROM offers o
+     WHERE o."${column}" = $1
+       AND o.code IS DISTINCT FROM $2
+       AND NOT EXISTS (
+         SELECT 1 FROM offer_merges m
+         WHERE m.offer_id = o.offer_id AND m.incoming_code = $2 AND m.undone_at IS NOT NULL
+       )
+     ORDER BY COALESCE(o.is_deleted, false) ASC, o."timestamp" DESC
+     LIMIT 1`,
+    [value, code]
+  );
+  return res.rows[0] || null;
+}
+
+async function findByTitleAndPrice(client, post, code) {
+  const price = Number(post.price_numeric);
+  const tokens = titleTokens(post.title);
+  if (!Number.isFinite(price) || price <= 0 || tokens.size < 3) return null;
+
+  const { fuzzyPriceTolerance, fuzzyTitleThreshold, fuzzyWindowMs } = config.offerMatching;
+  const res = await client.query(
+    `SELECT o.* FROM offers o
+     WHERE o.price_numeric BETWEEN $1 AND $2
+       AND o."timestamp" >= $3
+       AND COALESCE(o.is_deleted, false) = false
+       AND COALESCE(o.is_expired, false) = false
+       AND o.code IS DISTINCT FROM $4
+       AND ($5::text IS NULL OR o.store IS NULL OR lower(o.store) = lower($5))
+       AND NOT EXISTS (
+         SELECT 1 FROM offer_merges m
+         WHERE m.offer_id = o.offer_id AND m.incoming_code = $4 AND m.undone_at IS NOT NULL
+       )
+     ORDER BY o."timestamp" DESC
+     LIMIT 100`,
+    [
+      price * (1 - fuzzyPriceTolerance),
+      price * (1 + fuzzyPriceTolerance),
+      Date.now() - fuzzyWindowMs,
+      code,
+      post.store || post.store_name || null
+    ]
+  );
+
+  let best = null;
+  for (const row of res.rows) {
+    const score = jaccard(tokens, titleTokens(row.title));
+    if (score >= fuzzyTitleThreshold && (!best || score > best.score)) best = { offer: row, score };
+  }
+  return best;
+}
+
+// Looks for an offer that already represents the same product under another code.
+// Codes merged earlier resolve straight to their canonical offer; otherwise ASIN, EAN,
+// canonical URL and finally fuzzy title + price are tried, strongest first.
+export async function resolveDuplicateOffer({ code, post, identity }) {
+  const client = await getPool().connect();
+  try {
+    const alias = await client.query(
+      `SELECT o.* FROM offer_merges m
+       JOIN offers o ON o.offer_id = m.offer_id
+       WHERE m.incoming_code = $1 AND m.undone_at IS NULL
+       ORDER BY m.created_at DESC
+       LIMIT 1`,
+      [code]
+    );
+    if (alias.rows[0]) return { offer: alias.rows[0], kind: 'alias', value: code, score: 1, isNew: false };
+
+    const exact = [['asin', 'product_asin', identity.asin], ['ean', 'product_ean', identity.ean], ['url', 'canonical_url', identity.canonicalUrl]];
+    for (const [kind, column, value] of exact) {
+      if (!value) continue;
+      const offer = await findByIdentityColumn(client, column, value, code);
+      if (offer) return { offer, kind, value, score: 1, isNew: true };
+    }
+
+    const fuzzy = await findByTitleAndPrice(client, post, code);
+    if (fuzzy) return { offer: fuzzy.offer, kind: 'title_price', value: post.title || null, score: fuzzy.score, isNew: true };
+    return null;
+  } catch (err) {
+    // Matching is best effort: on failure the post simply becomes its own offer.
+    universalLog('error', 'offer_match_failed', { code, error: err.message });
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// The canonical row is snapshotted as it was before the merge, so undoing it can put back
+// whatever the alias code overwrote.
+export async function recordOfferMerge({ offerId, incomingOfferId, incomingCode, channelId, kind, value, score, eventType, payload }) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO offer_merges (offer_id, incoming_offer_id, incoming_code, channel_id, match_kind, match_value, score, event_type, payload, latest_payload, canonical_before)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, (SELECT to_jsonb(o) FROM offers o WHERE o.offer_id = $1))
+       ON CONFLICT (offer_id, incoming_code) WHERE undone_at IS NULL DO NOTHING
+       RETURNING id`,
+      [offerId, incomingOfferId, incomingCode, channelId || null, kind, value, score, eventType, JSON.stringify(payload ?? null)]
+    );
+    return res.rows[0]?.id ?? null;
+  } finally {
+    client.release();
+  }
+}
+
+// Every event of a merged code is kept as latest_payload (an undo rebuilds the alias offer
+// from it); `overwrites` says whether the event is about to change the canonical row.
+export async function recordAliasEvent({ offerId, incomingCode, payload, overwrites }) {
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `UPDATE offer_merges
+       SET latest_payload = $3, overwritten_at = CASE WHEN $4::boolean THEN now() ELSE overwritten_at END
+       WHERE offer_id = $1 AND incoming_code = $2 AND undone_at IS NULL`,
+      [offerId, incomingCode, JSON.stringify(payload ?? null), Boolean(overwrites)]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+export async function listOfferMerges({ offerId = null, code = null, includeUndone = false, limit = 100 } = {}) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT id, offer_id, incoming_offer_id, incoming_code, channel_id, match_kind, match_value, score, event_type, created_at, undone_at, undone_by
+       FROM offer_merges
+       WHERE ($1::text IS NULL OR offer_id = $1)
+         AND ($2::text IS NULL OR incoming_code = $2)
+         AND ($3::boolean OR undone_at IS NULL)
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [offerId, code, includeUndone, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Puts the snapshot back on the canonical row (offer_id aside, every column it had).
+async function restoreCanonicalOffer(client, offerId, snapshot) {
+  const cols = Object.keys(snapshot).filter(c => c !== 'offer_id').map(c => `"${c.replace(/"/g, '""')}"`);
+  if (cols.length === 0) return;
+  await client.query(
+    `UPDATE offers SET (${cols.join(', ')}) = (SELECT ${cols.map(c => `r.${c}`).join(', ')} FROM jsonb_populate_record(NULL::offers, $2) r)
+     WHERE offer_id = $1`,
+    [offerId, JSON.stringify(snapshot)]
+  );
+}
+
+// Marks the merge as undone so the code stops resolving to the canonical offer and is
+// never matched to it again. If the alias code overwrote the canonical row, the row goes
+// back to its state from before the merge. Returns the code's latest payload so the
+// alias offer can be rebuilt by replaying it. offer_merges has no foreign key on offers:
+// the audit trail outlives a hard-deleted canonical offer, which is then not restored.
+export async function undoOfferMerge(id, undoneBy = null) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query(
+      `UPDATE offer_merges SET undone_at = now(), undone_by = $2
+       WHERE id = $1 AND undone_at IS NULL
+       RETURNING id, offer_id, incoming_code, payload, latest_payload, canonical_before, overwritten_at`,
+      [id, undoneBy]
+    );
+    const merge = res.rows[0];
+    if (!merge) {
+      await client.query('ROLLBACK');
+      return { success: false };
+    }
+    let merged = null;
+    if (merge.overwritten_at && merge.canonical_before) {
+      merged = (await client.query('SELECT * FROM offers WHERE offer_id = $1', [merge.offer_id])).rows[0] || null;
+      if (merged) await restoreCanonicalOffer(client, merge.offer_id, merge.canonical_before);
+    }
+    const restored = Boolean(merged);
+    await client.query('COMMIT');
+
+    if (restored) {
+      try {
+        queueOfferPurge({ offerId: merge.offer_id, before: merged, after: merge.canonical_before });
+      } catch (err) {
+        universalLog('error', 'cloudflare_purge_queue_failed', { error: err.message, offerId: merge.offer_id });
+      }
+    }
+    return {
+      success: true,
+      restored,
+      merge: { id: merge.id, offer_id: merge.offer_id, incoming_code: merge.incoming_code, payload: merge.latest_payload ?? merge.payload }
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,59 @@
+import { config } from '../config.js';
+
+// orderBy=relevance for GET /offers. The text score adds up:
+//   - ts_rank_cd over title_search_vector and search_vector (weighted),
+//   - a boost when the title starts with the query,
+//   - a boost when every query word appears in sub_categories,
+// and is then scaled by a recency factor that halves every `recencyHalfLifeHours`,
+// blended in by `recencyWeight` (0 = age ignored, 1 = fully decayed).
+
+export const SCORE_COLUMNS = ['rank_title', 'rank_body', 'prefix_hit', 'sub_category_hit', 'recency', 'relevance_score'];
+
+// Wraps `innerSql` (a `SELECT * FROM "offers" WHERE ...` without ORDER/LIMIT) so every
+// row carries its score components. `refTime` is the "now" the decay is measured from;
+// pages after the first reuse it, so scores do not drift between pages. `tsFunction`
+// must match the one the search condition used to parse `qTs`.
+export function buildRelevanceSql({ innerWhereSql, tsFunction = 'to_tsquery', qTs, prefix, words, refTime, startIndex }) {
+  const w = config.offersRelevance;
+  const pQ = `$${startIndex}`;
+  const pPrefix = `$${startIndex + 1}`;
+  const pWords = `$${startIndex + 2}`;
+  const pRef = `$${startIndex + 3}`;
+  const halfLifeMs = Math.round(Math.max(1, Number(w.recencyHalfLifeHours)) * 3600000);
+
+  const scored = `SELECT *,
+      ts_rank_cd(COALESCE("title_search_vector", ''::tsvector), ${tsFunction}('italian', ${pQ})) AS "rank_title",
+      ts_rank_cd(COALESCE("search_vector", ''::tsvector), ${tsFunction}('italian', ${pQ})) AS "rank_body",
+      COALESCE("title" ILIKE ${pPrefix}, false) AS "prefix_hit",
+      (cardinality(${pWords}::text[]) > 0 AND COALESCE(LOWER(REPLACE("sub_categories", ' ', '')) LIKE ALL(${pWords}::text[]), false)) AS "sub_category_hit",
+      exp(-ln(2) * GREATEST(0, ${pRef}::float8 - COALESCE("timestamp", 0)) / ${halfLifeMs}::float8) AS "recency"
+    FROM "offers" ${innerWhereSql}`;
+
+  const textScore = `("rank_title" * ${Number(w.titleWeight)} + "rank_body" * ${Number(w.bodyWeight)}
+      + CASE WHEN "prefix_hit" THEN ${Number(w.prefixBoost)} ELSE 0 END
+      + CASE WHEN "sub_category_hit" THEN ${Number(w.subCategoryBoost)} ELSE 0 END)`;
+  const decay = `(1 - ${Number(w.recencyWeight)} + ${Number(w.recencyWeight)} * "recency")`;
+
+  return {
+    sql: `SELECT * FROM (SELECT *, (${textScore} * ${decay})::float8 AS "relevance_score" FROM (${scored}) scored) ranked`,
+    params: [qTs, prefix, words.map(word => `%${word}%`), refTime]
+  };
+}
+
+// Score components stay in the response only when debugging.
+export function stripScores(rows, debug) {
+  for (const row of rows) {
+    if (debug) {
+      row._score = {
+        total: row.relevance_score,
+        title: row.rank_title,
+        body: row.rank_body,
+        prefix: row.prefix_hit,
+        sub_categories: row.sub_category_hit,
+        recency: row.recency
+      };
+    }
+    for (const column of SCORE_COLUMNS) delete row[column];
+  }
+  return rows;
+}
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+import { listen, onListenerReconnect } from './pgListener.js';
+import { COLUMNS } from './offersQuery.js';
+import { toBool } from '../utils.js';
+
+// Fan-out of offer NOTIFYs to Server-Sent Events clients. The NOTIFY only tells us which
+// offer changed: the row is loaded once per event and then matched against every
+// client's filters.
+
+const clients = new Set();
+const recentEvents = [];
+// Event ids are `<epoch>-<n>`. The epoch is per instance and changes whenever the buffer
+// is reset, so an id from another instance (behind the load balancer), a previous process
+// or an earlier listening session never matches and forces a resync.
+let epoch = newEpoch();
+let nextEventId = 1;
+let unlisten = null;
+let unlistenReconnect = null;
+let pendingEvents = Promise.resolve();
+
+function newEpoch() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function resetEvents() {
+  recentEvents.length = 0;
+  epoch = newEpoch();
+  nextEventId = 1;
+}
+
+function parseEventId(value) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(value ?? '').trim());
+  return match ? { epoch: match[1], seq: parseInt(match[2], 10) } : null;
+}
+
+function normalizeText(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => normalizeText(v).trim()).filter(Boolean);
+}
+
+function parseFilters(query) {
+  return {
+    mainCategories: parseList(query.main_category),
+    stores: parseList(query.store),
+    qTokens: normalizeText(query.q || '').split(/\s+/).filter(Boolean)
+  };
+}
+
+// Deletions of rows we can no longer load are sent to everyone: a client holding the
+// offer needs to drop it, and there is nothing left to filter on.
+function matchesFilters(filters, event) {
+  const offer = event.offer;
+  if (!offer) return event.type === 'deleted';
+  if (filters.mainCategories.length > 0 && !filters.mainCategories.includes(normalizeText(offer.main_category))) return false;
+  if (filters.stores.length > 0) {
+    const stores = [offer.store, offer.store_name].map(normalizeText);
+    if (!filters.stores.some(s => stores.includes(s))) return false;
+  }
+  if (filters.qTokens.length > 0) {
+    const title = normalizeText(offer.edited_title || offer.title);
+    if (!filters.qTokens.every(t => title.includes(t))) return false;
+  }
+  return true;
+}
+
+function payloadRecords(payload) {
+  if (!payload || typeof payload !== 'object') return { before: null, after: null };
+  const before = payload.old || payload.old_record || null;
+  const after = payload.new || payload.record || null;
+  return { before, after: after || (payload.offer_id ? payload : null) };
+}
+
+function payloadOperation(payload) {
+  const op = payload && typeof payload === 'object' ? payload.op || payload.operation || payload.tg_op || payload.action : null;
+  return op ? String(op).toUpperCase() : null;
+}
+
+function classifyEvent(op, before, offer) {
+  if (op === 'DELETE' || !offer || toBool(offer.is_deleted)) return 'deleted';
+  if (toBool(offer.is_expired)) return 'expired';
+  if (op === 'INSERT') return 'created';
+  if (before && (toBool(before.is_deleted) || toBool(before.is_expired))) return 'created';
+  return 'edited';
+}
+
+// Clients are anonymous: they only get the public listing columns, never search vectors
+// or other internal ones.
+const PUBLIC_COLUMNS = Object.keys(COLUMNS);
+
+function publicOffer(record) {
+  if (!record) return null;
+  const offer = {};
+  for (const col of PUBLIC_COLUMNS) {
+    if (col in record) offer[col] = record[col];
+  }
+  return offer;
+}
+
+async function loadOffer(offerId) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT ${PUBLIC_COLUMNS.map(c => `"${c}"`).join(', ')} FROM "offers" WHERE "offer_id" = $1 LIMIT 1`,
+      [offerId]
+    );
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${epoch}-${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ offer_id: event.offer_id, offer: event.offer })}\n\n`);
+}
+
+function broadcast(event) {
+  recentEvents.push(event);
+  if (recentEvents.length > config.offerStream.replayBufferSize) recentEvents.shift();
+  for (const c of clients) {
+    if (matchesFilters(c.filters, event)) writeEvent(c.res, event);
+  }
+}
+
+async function handleOfferNotify(payload) {
+  if (clients.size === 0) return;
+  const { before, after } = payloadRecords(payload);
+  const offerId = after?.offer_id ?? before?.offer_id ?? (typeof payload === 'string' ? payload : null);
+  if (!offerId) {
+    universalLog('warn', 'offer_stream_unknown_payload', { payload: typeof payload === 'string' ? payload : JSON.stringify(payload) });
+    return;
+  }
+  const op = payloadOperation(payload);
+  const offer = op === 'DELETE' ? null : await loadOffer(String(offerId));
+  const type = classifyEvent(op, before, offer);
+  broadcast({ id: nextEventId++, type, offer_id: String(offerId), offer: offer || (type === 'deleted' ? publicOffer(before) : null) });
+}
+
+function ensureListening() {
+  if (unlisten) return;
+  // Events are handled one at a time so clients see them in NOTIFY order.
+  unlisten = listen(config.postgres.channels.offers, payload => {
+    pendingEvents = pendingEvents.then(() => handleOfferNotify(payload)).catch(err => {
+      universalLog('error', 'offer_stream_event_failed', { error: err.message });
+    });
+  });
+  // Events missed while the listener was down cannot be replayed: ask clients to refetch.
+  unlistenReconnect = onListenerReconnect(() => {
+    resetEvents();
+    for (const c of clients) c.res.write('event: resync\ndata: {}\n\n');
+  });
+}
+
+function stopListeningIfIdle() {
+  if (clients.size > 0 || !unlisten) return;
+  unlisten();
+  unlistenReconnect();
+  unlisten = null;
+  unlistenReconnect = null;
+  // Nothing is buffered while nobody listens: clients coming back must resync.
+  resetEvents();
+}
+
+export async function streamOffers(req, res) {
+  if (clients.size >= config.offerStream.maxClients) {
+    return res.status(503).json({ success: false, error: 'too_many_stream_clients' });
+  }
+
+  const filters = parseFilters(req.query || {});
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.offerStream.retryMs}\n\n`);
+
+  const client = { res, filters };
+  clients.add(client);
+  ensureListening();
+
+  // EventSource sends the last id it saw when it reconnects; replay what is still buffered,
+  // or tell the client to refetch when the gap is larger than the buffer.
+  const rawLastEventId = req.get('last-event-id') || req.query?.lastEventId || '';
+  if (rawLastEventId) {
+    const last = parseEventId(rawLastEventId);
+    const oldest = recentEvents[0]?.id ?? nextEventId;
+    if (!last || last.epoch !== epoch || last.seq + 1 < oldest || last.seq >= nextEventId) {
+      res.write('event: resync\ndata: {}\n\n');
+    } else {
+      for (const event of recentEvents) {
+        if (event.id > last.seq && matchesFilters(filters, event)) writeEvent(res, event);
+      }
+    }
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.offerStream.heartbeatMs);
+  universalLog('info', 'offer_stream_connected', { clients: clients.size });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    stopListeningIfIdle();
+    universalLog('info', 'offer_stream_disconnected', { clients: clients.size });
+  });
+}
@@ -0,0 +1,135 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+import { listen, onListenerReconnect } from './pgListener.js';
+import { PAGINATION_CLAUSE } from './offerFacets.js';
+import { createLruCache } from './queryCache.js';
+
+// withTotal for offers listings. The planner estimate comes first (EXPLAIN, no rows read);
+// when it is small enough an exact COUNT(*) runs under a short statement_timeout, and
+// if that times out the estimate is returned instead. The exact count never holds the
+// page back: if it is still running when the page is ready, the estimate is returned and
+// the count finishes in the background for the next request. Results are cached until
+// an offer changes, so repeated pages of the same listing do not count again.
+// The estimate runs on the listing's own connection; exact counts need one of their own,
+// so at most offersTotal.maxConcurrent of them run at once in the process.
+
+const countCache = createLruCache({
+  maxEntries: config.offersTotal.cacheMaxEntries,
+  maxBytes: 1024 * 1024,
+  ttlMs: config.offersTotal.cacheTtlMs
+});
+// Exact counts in flight by cache key, shared by concurrent requests.
+const pendingCounts = new Map();
+// Bumped on every invalidation: counts started before it are not cached.
+let generation = 0;
+let runningCounts = 0;
+
+function invalidateCounts() {
+  generation++;
+  countCache.clear();
+  pendingCounts.clear();
+}
+
+export function startOfferTotalsInvalidation() {
+  listen(config.postgres.channels.offers, invalidateCounts);
+  onListenerReconnect(invalidateCounts);
+}
+
+// Keeps the filter clauses (cursors and afterId only move the page, the total stays the
+// same) and renumbers their placeholders from $1.
+function totalWhere(where, whereColumns, params) {
+  const kept = where.filter((_, i) => whereColumns[i] !== PAGINATION_CLAUSE);
+  const mapping = new Map();
+  const nextParams = [];
+  const clauses = kept.map(sql => sql.replace(/\$(\d+)/g, (_, n) => {
+    if (!mapping.has(n)) {
+      nextParams.push(params[Number(n) - 1]);
+      mapping.set(n, nextParams.length);
+    }
+    return `$${mapping.get(n)}`;
+  }));
+  return { whereSql: clauses.length > 0 ? 'WHERE ' + clauses.join(' AND ') : '', params: nextParams };
+}
+
+async function estimateCount(client, whereSql, params) {
+  const res = await client.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM "offers" ${whereSql}`, params);
+  const plan = res.rows[0]?.['QUERY PLAN']?.[0]?.Plan;
+  return Math.max(0, Math.round(Number(plan?.['Plan Rows']) || 0));
+}
+
+// Null when the count timed out.
+async function exactCount(client, whereSql, params) {
+  await client.query('BEGIN');
+  try {
+    await client.query(`SET LOCAL statement_timeout = ${Math.max(1, Math.round(config.offersTotal.exactTimeoutMs))}`);
+    const res = await client.query(`SELECT COUNT(*) AS total FROM "offers" ${whereSql}`, params);
+    await client.query('COMMIT');
+    return Number(res.rows[0].total);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.code === '57014') return null; // query_canceled
+    throw err;
+  }
+}
+
+function cacheCount(key, total, startedAt) {
+  if (startedAt === generation) countCache.set(key, JSON.stringify(total));
+}
+
+// Runs on its own connection and caches its result whether or not a request still waits
+// for it. Falls back to `estimate` on timeout, null on failure.
+async function runExactCount(key, whereSql, params, estimate) {
+  const startedAt = generation;
+  runningCounts++;
+  let client;
+  try {
+    client = await getPool().connect();
+    const exact = await exactCount(client, whereSql, params);
+    const total = exact !== null ? { value: exact, exact: true } : estimate;
+    cacheCount(key, total, startedAt);
+    return total;
+  } catch (err) {
+    universalLog('warn', 'offers_total_failed', { error: err.message });
+    return null;
+  } finally {
+    client?.release();
+    runningCounts--;
+    if (pendingCounts.get(key)?.startedAt === startedAt) pendingCounts.delete(key);
+  }
+}
+
+// Returns { value, exact }, or null when counting failed (the listing is still served).
+// `client` is the listing's connection, the estimate is queued on it right away.
+// `ready()` returns the page query: once it settles, a count still running yields the
+// estimate.
+export async function countOffers(where, whereColumns, params, { client, ready = null }) {
+  const { whereSql, params: countParams } = totalWhere(where, whereColumns, params);
+  const key = JSON.stringify([whereSql, countParams]);
+  const cached = countCache.get(key);
+  if (cached !== undefined) return JSON.parse(cached);
+
+  const startedAt = generation;
+  let estimate;
+  try {
+    estimate = { value: await estimateCount(client, whereSql, countParams), exact: false };
+  } catch (err) {
+    universalLog('warn', 'offers_total_failed', { error: err.message });
+    return null;
+  }
+  if (estimate.value > config.offersTotal.exactThreshold) {
+    cacheCount(key, estimate, startedAt);
+    return estimate;
+  }
+
+  let pending = pendingCounts.get(key);
+  if (!pending) {
+    // Every count slot is taken: the estimate will do, a later page may count.
+    if (runningCounts >= config.offersTotal.maxConcurrent) return estimate;
+    pending = { startedAt: generation, promise: runExactCount(key, whereSql, countParams, estimate) };
+    pendingCounts.set(key, pending);
+  }
+  const page = ready ? ready() : null;
+  const total = await (page ? Promise.race([pending.promise, page.then(() => null, () => null)]) : pending.promise);
+  return total ?? estimate;
+}
@@ -1,43 +1,12 @@
-import { types } from 'pg';
-import { getPool } from './postgres.js';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { cacheTags } from './cache.js';
+import { listen, onListenerReconnect } from './pgListener.js';
+import { createLruCache } from './queryCache.js';
+import { parseOffersQuery, queryOffers } from './offersQuery.js';
 
-// --- Configuration ---
-
-const COLUMNS = {
-  offer_id: 'string', post_id: 'string', timestamp_created: 'int', timestamp_edited: 'int',
-  timestamp: 'int', code: 'string', link: 'string', short_link: 'string', domain: 'string',
-  channel_id: 'int', title: 'string', edited_title: 'string', price: 'string', old_price: 'string',
-  price_numeric: 'float', oldprice_numeric: 'float', currency: 'string', discount_amount: 'float',
-  perc: 'int', discount_percentage: 'float', disc: 'string', category: 'string', main_category: 'string',
-  category_original: 'string', sub_categories: 'string', store: 'string', store_name: 'string',
-  telegram_id: 'int', image: 'string', original_image: 'string', is_used: 'bool',
-  is_lowest_price: 'bool', lowest_price: 'int', average_price: 'int', average90_price: 'int',
-  maximum_price: 'int', is_lightning_deal: 'bool', lightning_deal_end: 'int',
-  lightning_deal_requested_percentage: 'int', subscribe_and_save_percentage: 'int', graph_link: 'string',
-  coupon: 'string', description: 'string', is_expired: 'bool', timestamp_expired: 'int',
-  is_deleted: 'bool', post_type: 'string', is_vpc: 'bool', vpc_discount: 'int',
-  vpc_text: 'string', checkout_discount: 'string', custom1: 'string', custom2: 'string',
-  custom3: 'string', custom4: 'string', custom5: 'string', custom6: 'string',
-  sold_by: 'string', shipped_by: 'string', reviews_total: 'int', reviews_stars: 'float',
-  feedback_seller_perc: 'string', feedback_seller_count: 'int', formatted_date: 'string',
-  formatted_time: 'string', message: 'string', message_no_link: 'string', api_exclusive: 'bool',
-  super_offer: 'bool', super_offer_forced: 'bool', pinned: 'bool', is_explicit: 'bool', is_alcool: 'bool',
-  is_event: 'bool', daily_offer: 'bool'
-};
-
-types.setTypeParser(20, (val) => (val === null ? null : parseInt(val, 10)));
-types.setTypeParser(1700, (val) => (val === null ? null : parseFloat(val)));
-types.setTypeParser(700, (val) => (val === null ? null : parseFloat(val)));
-types.setTypeParser(701, (val) => (val === null ? null : parseFloat(val)));
-
-// --- Helper Functions ---
-
-function toBool(v) {
-  if (typeof v === 'boolean') return v;
-  if (v === null || v === undefined) return false;
-  const s = String(v).trim().toLowerCase();
-  return ['1', 'true', 'yes', 'on'].includes(s);
-}
+// GET /offers: the query itself lives in services/offersQuery.js; this handler adds the
+// response cache, CDN tags and the response shape.
 
 function goLog(level, message, context = null) {
   try {
@@ -62,219 +31,117 @@ function goLog(level, message, context = null) {
   }
 }
 
-const pool = getPool();
-
-export async function getOffers(req, res) {
-  const startTime = Date.now();
-
-  try {
-    // --- Input Parsing ---
-
-    const limit = Math.max(1, Math.min(200, parseInt(req.query.limit) || 50));
-    const page = req.query.page ? Math.max(1, parseInt(req.query.page)) : null;
-    const offset = page ? (page - 1) * limit : Math.max(0, parseInt(req.query.offset) || 0);
-    const orderBy = (req.query.orderBy && COLUMNS[req.query.orderBy]) ? req.query.orderBy : 'timestamp';
-    const orderDir = req.query.orderDir?.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
-    const subcategory = req.query.subcategory || null;
-    const includeDeleted = toBool(req.query.includeDeleted);
-    const includeExpired = toBool(req.query.includeExpired);
-    const q = (req.query.q || '').trim();
-    const strictSearch = toBool(req.query.strictSearch);
-    const debug = toBool(req.query.debug);
-
-    // Parse filters
-    let filters = req.query.filter || {};
-    let filtersLike = req.query.filter_like || {};
-    let filtersIn = req.query.whereIn || {};
-
-    // Support JSON string for whereIn
-    if (typeof filtersIn === 'string') {
-      try {
-        filtersIn = JSON.parse(filtersIn);
-      } catch (e) {
-      }
-    }
-
-    const whereIn = filtersIn; // For response metadata
-
-    let afterId = req.query.afterId || req.query.startAfter || null;
-    if (afterId !== null) {
-      afterId = String(afterId).trim();
-      if (afterId === '') afterId = null;
-    }
-
-    // --- Query Building ---
-
-    const where = [];
-    const params = [];
-    let paramIndex = 1; // PostgreSQL uses $1, $2, etc.
-
-    if (!includeDeleted) where.push('COALESCE("is_deleted", false) = false');
-    if (!includeExpired) where.push('COALESCE("is_expired", false) = false');
+const offersCache = createLruCache(config.offersCache);
 
-    // Full-text search
-    if (q !== '') {
-      const tokens = q.split(/\s+/)
-        .map(t => t.replace(/[^a-zA-Z0-9àèéìòùÀÈÉÌÒÙ]/g, ''))
-        .filter(t => t !== '');
-
-      if (tokens.length > 0) {
-        const qTs = tokens.map(t => `${t}:*`).join(' & ');
-
-        // Build sub_categories condition for query words
-        const queryWords = q.split(/\s+/)
-          .map(w => w.trim().toLowerCase())
-          .filter(w => w.length > 3);
-        let subCatCondition = '';
-        if (queryWords.length > 0) {
-          const subCatConditions = queryWords.map(() => `LOWER(REPLACE("sub_categories", ' ', '')) LIKE $${paramIndex++}`);
-          subCatCondition = ` OR (${subCatConditions.join(' AND ')})`;
-          params.push(...queryWords.map(w => `%${w}%`));
-        }
-
-        if (strictSearch) {
-          where.push(`(title_search_vector @@ to_tsquery('italian', $${paramIndex})${subCatCondition})`);
-          params.push(qTs);
-          paramIndex += 1;
-        } else {
-          where.push(`(title_search_vector @@ to_tsquery('italian', $${paramIndex}) OR ("title" ILIKE $${paramIndex + 1})${subCatCondition})`);
-          params.push(qTs, q + '%');
-          paramIndex += 2;
-        }
-      }
-    }
-
-    // Exact/range filters
-    for (const [col, val] of Object.entries(filters)) {
-      if (!COLUMNS[col]) continue;
-      const type = COLUMNS[col];
+// Same query, same key: object keys are sorted recursively so `?a=1&b=2` and `?b=2&a=1`
+// share an entry. `debug` never reaches the cache.
+function sortDeep(value) {
+  if (Array.isArray(value)) return value.map(sortDeep);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortDeep(value[k])]));
+  }
+  return value;
+}
 
-      // Special case: filter[store]=altro
-      if (col === 'store' && typeof val === 'string' && val.trim().toLowerCase() === 'altro') {
-        const excluded = ['amazon', 'mediaworld', 'ebay', 'unieuro', 'aliexpress'];
-        const placeholders = excluded.map(() => `$${paramIndex++}`).join(',');
-        where.push(`("store" IS NULL OR LOWER("store") NOT IN (${placeholders}))`);
-        params.push(...excluded);
-        continue;
-      }
+function offersCacheKey(query) {
+  const { debug: _debug, ...rest } = query || {};
+  return JSON.stringify(sortDeep(rest));
+}
 
-      if (Array.isArray(val) || (typeof val === 'object' && val !== null)) {
-        // Range filter
-        if (val.min !== undefined && val.min !== '' && type !== 'string') {
-          where.push(`"${col}" >= $${paramIndex++}`);
-          params.push(val.min);
-        }
-        if (val.max !== undefined && val.max !== '' && type !== 'string') {
-          where.push(`"${col}" <= $${paramIndex++}`);
-          params.push(val.max);
-        }
-      } else {
-        // Exact match
-        where.push(`"${col}" = $${paramIndex++}`);
-        if (type === 'bool') {
-          params.push(toBool(val));
-        } else {
-          params.push(val);
-        }
-      }
-    }
+// Feeds filtered on main_category only depend on offers of that category; everything
+// else is tagged with the wildcard and dropped on any change.
+function offersCacheTags(filters, filtersIn) {
+  const cats = [];
+  if (filters?.main_category !== undefined && typeof filters.main_category !== 'object') cats.push(String(filters.main_category));
+  if (Array.isArray(filtersIn?.main_category)) cats.push(...filtersIn.main_category.map(String));
+  return cats.length > 0 ? cats.map(c => `main_category:${c}`) : ['main_category:*'];
+}
 
-    // LIKE filters
-    for (const [col, val] of Object.entries(filtersLike)) {
-      if (!COLUMNS[col] || val === '') continue;
-      where.push(`"${col}" LIKE $${paramIndex++}`);
-      params.push(`%${val}%`);
-    }
+function filterValues(filters, filtersIn, column) {
+  const values = [];
+  if (filters?.[column] !== undefined && typeof filters[column] !== 'object') values.push(String(filters[column]));
+  if (Array.isArray(filtersIn?.[column])) values.push(...filtersIn[column].map(String));
+  return values;
+}
 
-    // IN filters
-    for (const [col, vals] of Object.entries(filtersIn)) {
-      if (!COLUMNS[col] || !Array.isArray(vals) || vals.length === 0) continue;
+// Cache-Tag header for the CDN, matched by the targeted purges in services/cache.js.
+// Category feeds only carry their category tags; unfiltered feeds are the home feed.
+function offersCdnTags(q, filters, filtersIn) {
+  const tags = [cacheTags.offers];
+  const mainCategories = filterValues(filters, filtersIn, 'main_category');
+  const categories = filterValues(filters, filtersIn, 'category');
+  tags.push(...mainCategories.map(cacheTags.mainCategory), ...categories.map(cacheTags.category));
+  tags.push(...filterValues(filters, filtersIn, 'offer_id').map(cacheTags.offer));
+  if (q !== '') tags.push(cacheTags.search);
+  else if (mainCategories.length === 0 && categories.length === 0) tags.push(cacheTags.home);
+  return [...new Set(tags)].join(',');
+}
 
-      const type = COLUMNS[col];
-      const placeholders = [];
+function changedMainCategories(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  const records = [payload.new, payload.old, payload.record, payload.old_record, payload]
+    .filter(r => r && typeof r === 'object');
+  const cats = new Set();
+  for (const r of records) {
+    if ('main_category' in r) cats.add(String(r.main_category ?? ''));
+  }
+  return cats.size > 0 ? cats : null;
+}
 
-      for (const val of vals) {
-        placeholders.push(`$${paramIndex++}`);
-        switch (type) {
-          case 'bool':
-            params.push(toBool(val));
-            break;
-          case 'int':
-            params.push(parseInt(val));
-            break;
-          case 'float':
-            params.push(parseFloat(val));
-            break;
-          default:
-            params.push(val);
-        }
-      }
+function handleOfferChange(payload) {
+  const cats = changedMainCategories(payload);
+  if (!cats) {
+    offersCache.clear();
+    return;
+  }
+  offersCache.invalidate(tags => tags.some(t => t === 'main_category:*' || cats.has(t.slice('main_category:'.length))));
+}
 
-      where.push(`"${col}" IN (${placeholders.join(',')})`);
-    }
+export function startOffersCacheInvalidation() {
+  if (!config.offersCache.enabled) return;
+  listen(config.postgres.channels.offers, handleOfferChange);
+  onListenerReconnect(() => offersCache.clear());
+  universalLog('info', 'offers_cache_invalidation_started', { channel: config.postgres.channels.offers });
+}
 
-    // afterId cursor pagination
-    if (afterId !== null) {
-      const anchorResult = await pool.query(
-        `SELECT "${orderBy}" AS ob, "offer_id" AS oid FROM "offers" WHERE "offer_id" = $1`,
-        [afterId]
-      );
+export async function getOffers(req, res) {
+  const startTime = Date.now();
 
-      if (anchorResult.rows.length > 0) {
-        const anchor = anchorResult.rows[0];
-        const op = orderDir === 'DESC' ? '<' : '>';
-        where.push(`(("${orderBy}" ${op} $${paramIndex}) OR ("${orderBy}" = $${paramIndex} AND "offer_id" ${op} $${paramIndex + 1}))`);
-        params.push(anchor.ob, anchor.oid);
-        paramIndex += 2;
-      }
-    }
+  try {
+    const options = parseOffersQuery(req.query);
+    const { q, debug, filters, whereIn: filtersIn } = options;
 
-    if (subcategory !== null) {
-      const words = subcategory
-        .split(/\s+/)
-        .map(w => w.trim().toLowerCase())
-        .filter(w => w.length > 3); // Ignore words 3 chars or less as separators
+    res.set('Cache-Tag', offersCdnTags(q, filters, filtersIn));
 
-      if (words.length > 0) {
-        const conditions = words.map(() => `LOWER(REPLACE("sub_categories", ' ', '')) LIKE $${paramIndex++}`);
-        where.push(`(${conditions.join(' AND ')})`);
-        params.push(...words.map(w => `%${w}%`));
+    const cacheKey = config.offersCache.enabled && !debug ? offersCacheKey(req.query) : null;
+    if (cacheKey) {
+      const cached = offersCache.get(cacheKey);
+      if (cached !== undefined) {
+        res.set('X-Cache', 'HIT');
+        return res.type('application/json').send(cached);
       }
     }
 
-    const whereSql = where.length > 0 ? 'WHERE ' + where.join(' AND ') : '';
-    let orderBySql = `ORDER BY "${orderBy}" ${orderDir}${orderBy !== 'offer_id' ? ', "offer_id" ' + orderDir : ''}`;
-
-    // If category filter is applied and orderBy is default (timestamp), prioritize pinned_locally offers
-    console.log('Filters:', filters);
-    if (filters.main_category !== undefined && orderBy === 'timestamp') {
-        orderBySql = `ORDER BY "pinned_locally" DESC, "${orderBy}" ${orderDir}${orderBy !== 'offer_id' ? ', "offer_id" ' + orderDir : ''}`;
-    }
-
-    //const sqlCount = `SELECT COUNT(*) FROM "offers" ${whereSql}`;
-    const sqlData = `SELECT * FROM "offers" ${whereSql} ${orderBySql} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-
-    // --- Execute Queries ---
-
-    //const countResult = await pool.query(sqlCount, params);
-    //const total = parseInt(countResult.rows[0].count);
-
-    const dataParams = [...params, limit, offset];
-    const dataResult = await pool.query(sqlData, dataParams);
-    const rows = dataResult.rows;
+    const result = await queryOffers(options);
+    if (result.error) return res.status(400).json({ success: false, error: result.error });
+    const { rows } = result;
 
     // --- Response ---
     const timestamp = new Date().toISOString();
     const response = {
       success: true,
       timestamp: timestamp,
-      //total,
-      limit,
-      offset,
-      page,
-      orderBy,
-      orderDir,
-      filtersApplied: { includeDeleted, includeExpired, q, filters, filtersLike, whereIn, afterId },
+      // null when counting failed; totalExact=false marks a planner estimate.
+      ...(options.withTotal ? { total: result.total?.value ?? null, totalExact: result.total?.exact ?? false } : {}),
+      limit: result.limit,
+      offset: result.offset,
+      page: result.page,
+      orderBy: result.orderBy,
+      orderDir: result.orderDir,
+      filtersApplied: result.filtersApplied,
+      nextCursor: result.nextCursor,
+      ...(result.search ? { search: result.search } : {}),
+      ...(result.facets ? { facets: result.facets } : {}),
       rows
     };
 
@@ -289,7 +156,12 @@ export async function getOffers(req, res) {
     });
     */
 
-    res.json(response);
+    const body = JSON.stringify(response);
+    if (cacheKey) {
+      offersCache.set(cacheKey, body, { tags: offersCacheTags(filters, filtersIn) });
+      res.set('X-Cache', 'MISS');
+    }
+    res.type('application/json').send(body);
 
   } catch (error) {
     const durationMs = Date.now() - startTime;
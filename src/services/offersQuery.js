@@ -0,0 +1,423 @@
+import { types } from 'pg';
+import { getPool } from './postgres.js';
+import { buildCursorCondition, decodeCursor, encodeCursor, queryFingerprint } from './offerCursor.js';
+import { PAGINATION_CLAUSE, buildFacetsQuery, parseFacetsParam, shapeFacets } from './offerFacets.js';
+import { buildRelevanceSql, stripScores } from './offerRelevance.js';
+import { countOffers } from './offerTotals.js';
+import { expandSearchTerms, searchTokens as tokenizeSearch, suggestCorrections, toTsQuery } from './search.js';
+
+// Offers query engine: turns filters, search, sort and paging options into SQL and runs
+// it. The HTTP handler (services/offers.js) sits on top of it and only deals with request
+// parsing, caching and the response; other code can call queryOffers() directly.
+
+// --- Configuration ---
+
+export const COLUMNS = {
+  offer_id: 'string', post_id: 'string', timestamp_created: 'int', timestamp_edited: 'int',
+  timestamp: 'int', code: 'string', link: 'string', short_link: 'string', domain: 'string',
+  channel_id: 'int', title: 'string', edited_title: 'string', price: 'string', old_price: 'string',
+  price_numeric: 'float', oldprice_numeric: 'float', currency: 'string', discount_amount: 'float',
+  perc: 'int', discount_percentage: 'float', disc: 'string', category: 'string', main_category: 'string',
+  category_original: 'string', sub_categories: 'string', store: 'string', store_name: 'string',
+  telegram_id: 'int', image: 'string', original_image: 'string', is_used: 'bool',
+  is_lowest_price: 'bool', lowest_price: 'int', average_price: 'int', average90_price: 'int',
+  maximum_price: 'int', is_lightning_deal: 'bool', lightning_deal_end: 'int',
+  lightning_deal_requested_percentage: 'int', subscribe_and_save_percentage: 'int', graph_link: 'string',
+  coupon: 'string', description: 'string', is_expired: 'bool', timestamp_expired: 'int',
+  is_deleted: 'bool', post_type: 'string', is_vpc: 'bool', vpc_discount: 'int',
+  vpc_text: 'string', checkout_discount: 'string', custom1: 'string', custom2: 'string',
+  custom3: 'string', custom4: 'string', custom5: 'string', custom6: 'string',
+  sold_by: 'string', shipped_by: 'string', reviews_total: 'int', reviews_stars: 'float',
+  feedback_seller_perc: 'string', feedback_seller_count: 'int', formatted_date: 'string',
+  formatted_time: 'string', message: 'string', message_no_link: 'string', api_exclusive: 'bool',
+  super_offer: 'bool', super_offer_forced: 'bool', pinned: 'bool', is_explicit: 'bool', is_alcool: 'bool',
+  is_event: 'bool', daily_offer: 'bool'
+};
+
+// 'prefix': every word as a prefix match (with synonyms), plus sub_categories hits.
+// 'websearch': the query as typed through websearch_to_tsquery ("quoted phrases", -excluded).
+export const SEARCH_MODES = ['prefix', 'websearch'];
+
+types.setTypeParser(20, (val) => (val === null ? null : parseInt(val, 10)));
+types.setTypeParser(1700, (val) => (val === null ? null : parseFloat(val)));
+types.setTypeParser(700, (val) => (val === null ? null : parseFloat(val)));
+types.setTypeParser(701, (val) => (val === null ? null : parseFloat(val)));
+
+// --- Helper Functions ---
+
+function toBool(v) {
+  if (typeof v === 'boolean') return v;
+  if (v === null || v === undefined) return false;
+  const s = String(v).trim().toLowerCase();
+  return ['1', 'true', 'yes', 'on'].includes(s);
+}
+
+function subCategoryWords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .map(w => w.trim().toLowerCase())
+    .filter(w => w.length > 3); // Ignore words 3 chars or less as separators
+}
+
+// GET /offers query string -> queryOffers() options.
+export function parseOffersQuery(query = {}) {
+  const limit = Math.max(1, Math.min(200, parseInt(query.limit) || 50));
+  const cursor = query.cursor ? String(query.cursor) : null;
+  const page = query.page && !cursor ? Math.max(1, parseInt(query.page)) : null;
+  const offset = cursor ? 0 : page ? (page - 1) * limit : Math.max(0, parseInt(query.offset) || 0);
+
+  // Parse filters
+  const filters = query.filter || {};
+  const filtersLike = query.filter_like || {};
+  let filtersIn = query.whereIn || {};
+
+  // Support JSON string for whereIn
+  if (typeof filtersIn === 'string') {
+    try {
+      filtersIn = JSON.parse(filtersIn);
+    } catch (e) {
+    }
+  }
+
+  let afterId = query.afterId || query.startAfter || null;
+  if (afterId !== null) {
+    afterId = String(afterId).trim();
+    if (afterId === '') afterId = null;
+  }
+
+  const searchMode = SEARCH_MODES.includes(query.searchMode) ? query.searchMode : 'prefix';
+
+  return {
+    limit,
+    cursor,
+    page,
+    offset,
+    orderBy: query.orderBy || null,
+    orderDir: query.orderDir?.toLowerCase() === 'asc' ? 'ASC' : 'DESC',
+    subcategory: query.subcategory || null,
+    includeDeleted: toBool(query.includeDeleted),
+    includeExpired: toBool(query.includeExpired),
+    q: (query.q || '').trim(),
+    searchMode,
+    strictSearch: toBool(query.strictSearch),
+    // Typo fallback is on unless fuzzy=false.
+    fuzzy: query.fuzzy === undefined ? true : toBool(query.fuzzy),
+    debug: toBool(query.debug),
+    facets: parseFacetsParam(query.facets),
+    withTotal: toBool(query.withTotal),
+    filters,
+    filtersLike,
+    whereIn: filtersIn,
+    afterId
+  };
+}
+
+// What identifies "the same listing" for cursors: everything but the paging options.
+// A corrected re-run keeps the q the caller sent.
+function fingerprintSource(options) {
+  return {
+    q: options.correction?.original ?? options.q,
+    orderBy: options.orderBy,
+    subcategory: options.subcategory,
+    includeDeleted: options.includeDeleted,
+    includeExpired: options.includeExpired,
+    searchMode: options.searchMode,
+    strictSearch: options.strictSearch,
+    fuzzy: options.fuzzy,
+    filters: options.filters,
+    filtersLike: options.filtersLike,
+    whereIn: options.whereIn
+  };
+}
+
+// Re-runs the query with the corrected q; the result reports the correction
+// ("did you mean").
+function queryWithCorrection(options, correction) {
+  return queryOffers({ ...options, q: correction.corrected, correction });
+}
+
+// Runs an offers listing. Returns { error: 'invalid_cursor' } for a bad cursor, otherwise
+// { rows, nextCursor, limit, offset, page, orderBy, orderDir, filtersApplied, search,
+// facets, total, sql }; `total` is { value, exact } with withTotal, null otherwise.
+// Options are those returned by parseOffersQuery().
+export async function queryOffers(options) {
+  const {
+    limit, cursor, page, offset, orderDir, subcategory, includeDeleted, includeExpired, q,
+    searchMode, strictSearch, fuzzy, debug, facets: facetNames = [], withTotal = false, afterId, correction = null
+  } = options;
+  const filters = options.filters || {};
+  const filtersLike = options.filtersLike || {};
+  const filtersIn = options.whereIn || {};
+  const pool = getPool();
+
+  const searchTokens = tokenizeSearch(q);
+  const websearch = searchMode === 'websearch';
+  // Relevance needs something to rank against; without a query it falls back to orderBy.
+  const relevance = options.orderBy === 'relevance' && searchTokens.length > 0;
+  const orderBy = (options.orderBy && COLUMNS[options.orderBy]) ? options.orderBy : 'timestamp';
+
+  // Category feeds with the default order show pinned_locally offers first; offer_id
+  // breaks ties so every row has a unique position (needed by cursors).
+  const pinnedFirst = filters.main_category !== undefined && orderBy === 'timestamp';
+  const sortKeys = relevance
+    ? [{ column: 'relevance_score', dir: 'DESC' }, { column: 'offer_id', dir: 'DESC' }]
+    : [
+      ...(pinnedFirst ? [{ column: 'pinned_locally', dir: 'DESC' }] : []),
+      { column: orderBy, dir: orderDir },
+      ...(orderBy !== 'offer_id' ? [{ column: 'offer_id', dir: orderDir }] : [])
+    ];
+
+  const fingerprint = queryFingerprint(fingerprintSource(options), sortKeys);
+  let cursorValues = null;
+  let refTime = relevance ? Date.now() : null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sortKeys, fingerprint);
+    if (!decoded) return { error: 'invalid_cursor' };
+    // Later pages of a corrected search keep using the correction of the first page.
+    if (decoded.extra?.correctedQ && !correction) {
+      return queryWithCorrection(options, { original: q, corrected: decoded.extra.correctedQ, corrections: [] });
+    }
+    cursorValues = decoded.values;
+    if (relevance && Number.isFinite(decoded.extra?.refTime)) refTime = decoded.extra.refTime;
+  }
+
+  const expansion = searchTokens.length > 0 && !websearch ? await expandSearchTerms(searchTokens) : null;
+
+  // --- Query Building ---
+
+  const where = [];
+  const params = [];
+  let paramIndex = 1; // PostgreSQL uses $1, $2, etc.
+  // Column each WHERE clause filters on (facets leave out their own column's clauses);
+  // null for clauses that are not plain column filters.
+  const whereColumns = [];
+  const addWhere = (sql, column = null) => {
+    where.push(sql);
+    whereColumns[where.length - 1] = column;
+  };
+
+  if (!includeDeleted) where.push('COALESCE("is_deleted", false) = false');
+  if (!includeExpired) where.push('COALESCE("is_expired", false) = false');
+
+  // Full-text search
+  const tsFunction = websearch ? 'websearch_to_tsquery' : 'to_tsquery';
+  const qTs = websearch ? q : (expansion ? toTsQuery(expansion.groups) : '');
+  if (searchTokens.length > 0) {
+    // Build sub_categories condition for query words
+    const queryWords = websearch ? [] : subCategoryWords(q);
+    let subCatCondition = '';
+    if (queryWords.length > 0) {
+      const subCatConditions = queryWords.map(() => `LOWER(REPLACE("sub_categories", ' ', '')) LIKE $${paramIndex++}`);
+      subCatCondition = ` OR (${subCatConditions.join(' AND ')})`;
+      params.push(...queryWords.map(w => `%${w}%`));
+    }
+
+    if (strictSearch) {
+      where.push(`(title_search_vector @@ ${tsFunction}('italian', $${paramIndex})${subCatCondition})`);
+      params.push(qTs);
+      paramIndex += 1;
+    } else {
+      where.push(`(title_search_vector @@ ${tsFunction}('italian', $${paramIndex}) OR ("title" ILIKE $${paramIndex + 1})${subCatCondition})`);
+      params.push(qTs, q + '%');
+      paramIndex += 2;
+    }
+  }
+
+  // Exact/range filters
+  for (const [col, val] of Object.entries(filters)) {
+    if (!COLUMNS[col]) continue;
+    const type = COLUMNS[col];
+
+    // Special case: filter[store]=altro
+    if (col === 'store' && typeof val === 'string' && val.trim().toLowerCase() === 'altro') {
+      const excluded = ['amazon', 'mediaworld', 'ebay', 'unieuro', 'aliexpress'];
+      const placeholders = excluded.map(() => `$${paramIndex++}`).join(',');
+      addWhere(`("store" IS NULL OR LOWER("store") NOT IN (${placeholders}))`, col);
+      params.push(...excluded);
+      continue;
+    }
+
+    if (Array.isArray(val) || (typeof val === 'object' && val !== null)) {
+      // Range filter
+      if (val.min !== undefined && val.min !== '' && type !== 'string') {
+        addWhere(`"${col}" >= $${paramIndex++}`, col);
+        params.push(val.min);
+      }
+      if (val.max !== undefined && val.max !== '' && type !== 'string') {
+        addWhere(`"${col}" <= $${paramIndex++}`, col);
+        params.push(val.max);
+      }
+    } else {
+      // Exact match
+      addWhere(`"${col}" = $${paramIndex++}`, col);
+      if (type === 'bool') {
+        params.push(toBool(val));
+      } else {
+        params.push(val);
+      }
+    }
+  }
+
+  // LIKE filters
+  for (const [col, val] of Object.entries(filtersLike)) {
+    if (!COLUMNS[col] || val === '') continue;
+    addWhere(`"${col}" LIKE $${paramIndex++}`, col);
+    params.push(`%${val}%`);
+  }
+
+  // IN filters
+  for (const [col, vals] of Object.entries(filtersIn)) {
+    if (!COLUMNS[col] || !Array.isArray(vals) || vals.length === 0) continue;
+
+    const type = COLUMNS[col];
+    const placeholders = [];
+
+    for (const val of vals) {
+      placeholders.push(`$${paramIndex++}`);
+      switch (type) {
+        case 'bool':
+          params.push(toBool(val));
+          break;
+        case 'int':
+          params.push(parseInt(val));
+          break;
+        case 'float':
+          params.push(parseFloat(val));
+          break;
+        default:
+          params.push(val);
+      }
+    }
+
+    addWhere(`"${col}" IN (${placeholders.join(',')})`, col);
+  }
+
+  // afterId cursor pagination
+  if (afterId !== null && afterId !== undefined) {
+    const anchorResult = await pool.query(
+      `SELECT "${orderBy}" AS ob, "offer_id" AS oid FROM "offers" WHERE "offer_id" = $1`,
+      [afterId]
+    );
+
+    if (anchorResult.rows.length > 0) {
+      const anchor = anchorResult.rows[0];
+      const op = orderDir === 'DESC' ? '<' : '>';
+      addWhere(`(("${orderBy}" ${op} $${paramIndex}) OR ("${orderBy}" = $${paramIndex} AND "offer_id" ${op} $${paramIndex + 1}))`, PAGINATION_CLAUSE);
+      params.push(anchor.ob, anchor.oid);
+      paramIndex += 2;
+    }
+  }
+
+  // Opaque cursor pagination (see services/offerCursor.js). Relevance cursors compare
+  // against the computed score, so they are applied around the scored query instead.
+  if (cursorValues && !relevance) {
+    const condition = buildCursorCondition(sortKeys, cursorValues, paramIndex);
+    addWhere(condition.sql, PAGINATION_CLAUSE);
+    params.push(...condition.params);
+    paramIndex += condition.params.length;
+  }
+
+  if (subcategory !== null && subcategory !== undefined) {
+    const words = subCategoryWords(subcategory);
+    if (words.length > 0) {
+      const conditions = words.map(() => `LOWER(REPLACE("sub_categories", ' ', '')) LIKE $${paramIndex++}`);
+      where.push(`(${conditions.join(' AND ')})`);
+      params.push(...words.map(w => `%${w}%`));
+    }
+  }
+
+  const whereSql = where.length > 0 ? 'WHERE ' + where.join(' AND ') : '';
+  const orderBySql = 'ORDER BY ' + sortKeys.map(k => `"${k.column}" ${k.dir}`).join(', ');
+
+  //const sqlCount = `SELECT COUNT(*) FROM "offers" ${whereSql}`;
+  let sqlData = `SELECT * FROM "offers" ${whereSql} ${orderBySql} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+
+  // Parameters only the data query uses (facets run on `params` alone).
+  const dataOnlyParams = [];
+  if (relevance) {
+    const ranked = buildRelevanceSql({
+      innerWhereSql: whereSql, tsFunction, qTs, prefix: q + '%', words: websearch ? [] : subCategoryWords(q), refTime, startIndex: paramIndex
+    });
+    dataOnlyParams.push(...ranked.params);
+    paramIndex += ranked.params.length;
+    let outerWhereSql = '';
+    if (cursorValues) {
+      const condition = buildCursorCondition(sortKeys, cursorValues, paramIndex);
+      outerWhereSql = `WHERE ${condition.sql}`;
+      dataOnlyParams.push(...condition.params);
+      paramIndex += condition.params.length;
+    }
+    sqlData = `${ranked.sql} ${outerWhereSql} ${orderBySql} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+  }
+
+  // --- Execute Queries ---
+
+  //const countResult = await pool.query(sqlCount, params);
+  //const total = parseInt(countResult.rows[0].count);
+
+  const dataParams = [...params, ...dataOnlyParams, limit, offset];
+  const facetsSql = facetNames.length > 0 ? buildFacetsQuery(facetNames, where, whereColumns) : null;
+  // One connection per listing: the count estimate, data and facets queries queue on it
+  // in that order, so a burst of listings cannot drain the pool. The count gives up
+  // waiting when the page is ready. A short offset page already tells the exact total,
+  // which then wins over the count.
+  let dataResult;
+  let facetsResult;
+  let counted;
+  const client = await pool.connect();
+  try {
+    let dataQuery;
+    const counting = withTotal ? countOffers(where, whereColumns, params, { client, ready: () => dataQuery }) : null;
+    dataQuery = client.query(sqlData, dataParams);
+    [dataResult, facetsResult, counted] = await Promise.all([
+      dataQuery,
+      facetsSql ? client.query(facetsSql, params) : null,
+      counting
+    ]);
+  } finally {
+    client.release();
+  }
+  const rows = dataResult.rows;
+
+  // Nothing matched: retry once with the closest words found in offer titles. Websearch
+  // queries are left alone, a corrected query would lose their quotes and exclusions.
+  if (rows.length === 0 && fuzzy && !websearch && !correction && searchTokens.length > 0 && !cursor && offset === 0) {
+    const found = await suggestCorrections(searchTokens);
+    if (found) return queryWithCorrection(options, { original: q, ...found });
+  }
+
+  const cursorExtra = {
+    ...(relevance ? { refTime } : {}),
+    ...(correction ? { correctedQ: correction.corrected } : {})
+  };
+  const nextCursor = rows.length === limit
+    ? encodeCursor(rows[rows.length - 1], sortKeys, fingerprint, Object.keys(cursorExtra).length > 0 ? cursorExtra : null)
+    : null;
+  if (relevance) stripScores(rows, debug);
+
+  let total = counted;
+  const pagedByOffset = !cursor && (afterId === null || afterId === undefined);
+  if (withTotal && pagedByOffset && rows.length < limit && (rows.length > 0 || offset === 0)) {
+    total = { value: offset + rows.length, exact: true };
+  }
+
+  return {
+    rows,
+    nextCursor,
+    limit,
+    offset,
+    page,
+    orderBy: relevance ? 'relevance' : orderBy,
+    orderDir: relevance ? 'DESC' : orderDir,
+    filtersApplied: { includeDeleted, includeExpired, q, filters, filtersLike, whereIn: filtersIn, afterId },
+    search: q !== '' ? {
+      mode: searchMode,
+      didYouMean: correction?.corrected ?? null,
+      corrections: correction?.corrections ?? [],
+      synonyms: expansion?.synonymsApplied ?? {}
+    } : null,
+    facets: facetsResult ? shapeFacets(facetNames, facetsResult.rows) : null,
+    total,
+    sql: { where: whereSql, params, data: sqlData, facets: facetsSql }
+  };
+}
@@ -0,0 +1,133 @@
+import { Client } from 'pg';
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+
+// One dedicated connection (outside the pool) for every LISTEN in the process: a pooled
+// client would be handed back and lose its subscriptions.
+
+const handlers = new Map();
+const reconnectHandlers = new Set();
+let client = null;
+let connecting = null;
+let reconnectTimer = null;
+let failures = 0;
+
+function assertChannelName(channel) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(channel)) throw new Error(`invalid LISTEN channel: ${channel}`);
+}
+
+function dispatch(msg) {
+  const set = handlers.get(msg.channel);
+  if (!set || set.size === 0) return;
+  let payload = msg.payload;
+  try { payload = JSON.parse(msg.payload); } catch (_) {}
+  for (const handler of set) {
+    try {
+      handler(payload, msg.channel);
+    } catch (err) {
+      universalLog('error', 'pg_listener_handler_failed', { channel: msg.channel, error: err.message });
+    }
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || handlers.size === 0) return;
+  failures += 1;
+  const delayMs = Math.min(30000, 1000 * 2 ** Math.min(failures - 1, 5));
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch(() => {});
+  }, delayMs);
+  reconnectTimer.unref?.();
+}
+
+function dropClient(reason) {
+  if (!client) return;
+  const old = client;
+  client = null;
+  old.removeAllListeners();
+  // A client with no 'error' listener throws on the next error, and end() on a broken
+  // connection can still emit one.
+  old.on('error', () => {});
+  old.end().catch(() => {});
+  universalLog('warn', 'pg_listener_disconnected', { reason });
+  scheduleReconnect();
+}
+
+async function connect() {
+  if (client) return client;
+  if (connecting) return connecting;
+  connecting = (async () => {
+    const next = new Client({
+      host: config.postgres.host,
+      port: config.postgres.port,
+      database: config.postgres.database,
+      user: config.postgres.user,
+      password: config.postgres.password,
+      keepAlive: true,
+      ssl: false,
+      options: '-c search_path=dev'
+    });
+    try {
+      await next.connect();
+      for (const channel of handlers.keys()) await next.query(`LISTEN "${channel}"`);
+    } catch (err) {
+      next.end().catch(() => {});
+      universalLog('error', 'pg_listener_connect_failed', { error: err.message, failures });
+      scheduleReconnect();
+      throw err;
+    }
+    next.on('notification', dispatch);
+    next.on('error', err => dropClient(err.message));
+    next.on('end', () => dropClient('connection ended'));
+    const wasReconnect = failures > 0;
+    client = next;
+    failures = 0;
+    universalLog('info', 'pg_listener_connected', { channels: [...handlers.keys()] });
+    // Anything that happened while we were disconnected was missed.
+    if (wasReconnect) {
+      for (const fn of reconnectHandlers) {
+        try { fn(); } catch (err) { universalLog('error', 'pg_listener_reconnect_handler_failed', { error: err.message }); }
+      }
+    }
+    return client;
+  })().finally(() => { connecting = null; });
+  return connecting;
+}
+
+// Registers `handler(payload, channel)` for NOTIFYs on `channel` (payload is parsed as
+// JSON when possible). Returns a function that removes the handler again.
+export function listen(channel, handler) {
+  assertChannelName(channel);
+  let set = handlers.get(channel);
+  const isNewChannel = !set;
+  if (!set) {
+    set = new Set();
+    handlers.set(channel, set);
+  }
+  set.add(handler);
+
+  if (client && isNewChannel) {
+    client.query(`LISTEN "${channel}"`).catch(err => {
+      universalLog('error', 'pg_listener_listen_failed', { channel, error: err.message });
+    });
+  } else if (!client) {
+    connect().catch(() => {});
+  }
+
+  return () => {
+    set.delete(handler);
+    if (set.size > 0) return;
+    handlers.delete(channel);
+    if (client) client.query(`UNLISTEN "${channel}"`).catch(() => {});
+  };
+}
+
+export function onListenerReconnect(fn) {
+  reconnectHandlers.add(fn);
+  return () => reconnectHandlers.delete(fn);
+}
+
+export function isListenerConnected() {
+  return client !== null;
+}
@@ -1,7 +1,7 @@
 import { Pool } from 'pg';
 import { config } from '../config.js';
 import { universalLog } from '../logger.js';
-import { generateOfferId, nowMs, toBool } from '../utils.js';
+import { generateOfferId, keywordFavoriteMatchesOffer, keywordMatchCandidates, nowMs, toBool } from '../utils.js';
 
 let pool;
 const columnCache = new Map();
@@ -124,10 +124,13 @@ export async function insertOrUpdateOffer(row) {
   }
 }
 
-export async function markOfferDeleted(id, deleteTs = null) {
+export async function markOfferDeleted(id, deleteTs = null, eventTs = null) {
   const client = await getPool().connect();
   try {
-    await client.query('UPDATE "offers" SET "is_deleted" = true, "is_expired" = true, "timestamp_expired" = $1 WHERE "offer_id" = $2', [deleteTs ?? nowMs(), id]);
+    await client.query(
+      'UPDATE "offers" SET "is_deleted" = true, "is_expired" = true, "timestamp_expired" = $1, "timestamp_edited" = GREATEST(COALESCE("timestamp_edited", 0), COALESCE($3::bigint, 0)) WHERE "offer_id" = $2',
+      [deleteTs ?? nowMs(), id, eventTs]
+    );
   } finally {
     client.release();
   }
@@ -142,6 +145,27 @@ export async function hardDeleteOffer(id) {
   }
 }
 
+// Hard-deleted offers leave no row behind, so the processed POST_DELETED jobs are the
+// only record that a newer deletion already happened for this code.
+export async function hasNewerDeletion(code, eventTs) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT 1 FROM ingestion_jobs
+       WHERE offer_code = $1
+         AND status = 'done'
+         AND "result"->>'action' IN ('deleted', 'deleted_via_create')
+         AND (payload->>'timestamp') ~ '^[0-9]+$'
+         AND (payload->>'timestamp')::bigint > $2
+       LIMIT 1`,
+      [code, eventTs]
+    );
+    return res.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
 async function getTableColumns(tableName) {
   if (columnCache.has(tableName)) return columnCache.get(tableName);
   const client = await getPool().connect();
@@ -177,7 +201,7 @@ export async function withdrawNotificationsForOffer(offerId) {
   const client = await getPool().connect();
   try {
     const res = await client.query(
-      'SELECT n.target, un.notification_id, un.uid, COALESCE(un.withdrawn, false) AS withdrawn, u.token_fcm\n       FROM notifications n\n       JOIN users_notifications un ON un.notification_id = n.id\n       LEFT JOIN "users" u ON u.uid = un.uid\n       WHERE n.offer_id = $1 AND COALESCE(un.withdrawn, false) = false',
+      'SELECT n.target, un.notification_id, un.uid, COALESCE(un.withdrawn, false) AS withdrawn\n       FROM notifications n\n       JOIN users_notifications un ON un.notification_id = n.id\n       WHERE n.offer_id = $1 AND COALESCE(un.withdrawn, false) = false',
       [offerId]
     );
 
@@ -199,7 +223,7 @@ export async function withdrawNotificationById(notificationId) {
   const client = await getPool().connect();
   try {
     const res = await client.query(
-      'SELECT n.target, un.notification_id, un.uid, COALESCE(un.withdrawn, false) AS withdrawn, u.token_fcm\n       FROM notifications n\n       JOIN users_notifications un ON un.notification_id = n.id\n       LEFT JOIN "users" u ON u.uid = un.uid\n       WHERE n.id = $1 AND COALESCE(un.withdrawn, false) = false',
+      'SELECT n.target, un.notification_id, un.uid, COALESCE(un.withdrawn, false) AS withdrawn\n       FROM notifications n\n       JOIN users_notifications un ON un.notification_id = n.id\n       WHERE n.id = $1 AND COALESCE(un.withdrawn, false) = false',
       [notificationId]
     );
 
@@ -346,12 +370,26 @@ export async function addFavorite({
   min_price = null,
   max_price = null,
   min_discount = null,
+  target_price = null,
+  min_drop_amount = null,
+  min_drop_percent = null,
+  delivery_mode = 'instant',
 }) {
   const client = await getPool().connect();
   try {
+    // baseline_price remembers what the offer cost when it was saved, so drop thresholds
+    // have something to be measured against before the first notification.
     await client.query(
-      'INSERT INTO favorites (uid, "key", "type", category, store, min_price, max_price, min_discount) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (uid, "key", category, store, min_price, max_price, min_discount) DO UPDATE SET "type" = EXCLUDED."type", created_at = now()',
-      [uid, key, type, category, store, min_price, max_price, min_discount]
+      `INSERT INTO favorites (uid, "key", "type", category, store, min_price, max_price, min_discount, target_price, min_drop_amount, min_drop_percent, delivery_mode, baseline_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CASE WHEN $3 = 'offer' THEN (SELECT price_numeric FROM offers WHERE offer_id = $2) END)
+       ON CONFLICT (uid, "key", category, store, min_price, max_price, min_discount) DO UPDATE SET
+         "type" = EXCLUDED."type",
+         target_price = EXCLUDED.target_price,
+         min_drop_amount = EXCLUDED.min_drop_amount,
+         min_drop_percent = EXCLUDED.min_drop_percent,
+         delivery_mode = EXCLUDED.delivery_mode,
+         created_at = now()`,
+      [uid, key, type, category, store, min_price, max_price, min_discount, target_price, min_drop_amount, min_drop_percent, delivery_mode]
     );
     return { success: true };
   } finally {
@@ -373,6 +411,8 @@ export async function updateFavorite({
   newMinPrice = null,
   newMaxPrice = null,
   newMinDiscount = null,
+  thresholds = {},
+  deliveryMode = null,
   type = null,
 }) {
   const client = await getPool().connect();
@@ -399,6 +439,18 @@ export async function updateFavorite({
     sets.push(`min_discount = $${idx++}`);
     values.push(newMinDiscount);
 
+    // Price-drop thresholds are only touched when the caller sent them.
+    for (const field of ['target_price', 'min_drop_amount', 'min_drop_percent']) {
+      if (thresholds[field] === undefined) continue;
+      sets.push(`${field} = $${idx++}`);
+      values.push(thresholds[field]);
+    }
+
+    if (deliveryMode) {
+      sets.push(`delivery_mode = $${idx++}`);
+      values.push(deliveryMode);
+    }
+
     sets.push(`created_at = now()`);
 
     const whereConditions = [
@@ -443,7 +495,7 @@ export async function listFavorites({ uid, type }) {
   const client = await getPool().connect();
   try {
     const res = await client.query(
-      'SELECT "key", "type", created_at, category, store, min_price, max_price, min_discount FROM favorites WHERE uid = $1 AND ($2::text IS NULL OR "type" = $2) ORDER BY created_at DESC',
+      'SELECT "key", "type", created_at, category, store, min_price, max_price, min_discount, target_price, min_drop_amount, min_drop_percent, delivery_mode FROM favorites WHERE uid = $1 AND ($2::text IS NULL OR "type" = $2) ORDER BY created_at DESC',
       [uid, type || null]
     );
     return res.rows;
@@ -477,41 +529,7 @@ export async function findUsersWithMatchingKeywords({
 }) {
   const client = await getPool().connect();
   try {
-    // Normalize title for phrases
-    const titleForPhrases = rawTitle ?? titleWords.join(' ');
-    const titleNoPunct = (titleForPhrases || '')
-      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    const orderedTokens = titleNoPunct ? titleNoPunct.split(' ') : [];
-    const orderedTokensLow = orderedTokens.map(w => w.toLowerCase());
-
-    // Single words (lower + TitleCase) limited for perf
-    const singleWords = Array.from(new Set(titleWords.map(w => w.toLowerCase()).filter(Boolean))).slice(0, 5);
-
-    // Bigrams & trigrams
-    const bigrams = [];
-    for (let i = 0; i + 1 < orderedTokens.length; i++) {
-      bigrams.push({ low: `${orderedTokensLow[i]} ${orderedTokensLow[i + 1]}` });
-    }
-    const trigrams = [];
-    for (let i = 0; i + 2 < orderedTokens.length; i++) {
-      trigrams.push({ low: `${orderedTokensLow[i]} ${orderedTokensLow[i + 1]} ${orderedTokensLow[i + 2]}` });
-    }
-
-    const bigramKeys = bigrams.slice(0, 5).map(b => b.low);
-    const trigramKeys = trigrams.slice(0, 3).map(t => t.low);
-
-    const candidates = [];
-    for (const w of singleWords) {
-      candidates.push(w);
-      if (w.length > 0) {
-        candidates.push(w.charAt(0).toUpperCase() + w.slice(1));
-      }
-    }
-    candidates.push(...bigramKeys, ...trigramKeys);
-
-    const candidateSet = Array.from(new Set(candidates.filter(Boolean)));
+    const candidateSet = keywordMatchCandidates({ titleWords, rawTitle });
 
     const matches = [];
 
@@ -524,51 +542,11 @@ export async function findUsersWithMatchingKeywords({
 
       for (const chunk of chunks) {
         const res = await client.query(
-          'SELECT id, uid, key, category, store, min_price, max_price, min_discount FROM favorites WHERE type = $1 AND lower(key) = ANY($2)',
+          'SELECT id, uid, key, category, store, min_price, max_price, min_discount, delivery_mode FROM favorites WHERE type = $1 AND lower(key) = ANY($2)',
           ['keyword', chunk.map(c => c.toLowerCase())]
         );
         for (const row of res.rows) {
-          // Filter by offer metadata
-          let isMatch = true;
-
-          // Check category match
-          if (row.category && offerCategory) {
-            const favCatLower = String(row.category).toLowerCase().trim();
-            const offerCatLower = String(offerCategory).toLowerCase().trim();
-            if (favCatLower !== offerCatLower) {
-              isMatch = false;
-            }
-          }
-
-          // Check store match
-          if (isMatch && row.store && offerStore) {
-            const favStoreLower = String(row.store).toLowerCase().trim();
-            const offerStoreLower = String(offerStore).toLowerCase().trim();
-            if (favStoreLower !== offerStoreLower) {
-              isMatch = false;
-            }
-          }
-
-          // Check min price
-          if (isMatch && row.min_price !== null && offerPrice !== null) {
-            if (offerPrice < row.min_price) {
-              isMatch = false;
-            }
-          }
-
-          // Check max price
-          if (isMatch && row.max_price !== null && offerPrice !== null) {
-            if (offerPrice > row.max_price) {
-              isMatch = false;
-            }
-          }
-
-          // Check min discount
-          if (isMatch && row.min_discount !== null && offerDiscount !== null) {
-            if (offerDiscount < row.min_discount) {
-              isMatch = false;
-            }
-          }
+          const isMatch = keywordFavoriteMatchesOffer(row, { offerPrice, offerDiscount, offerStore, offerCategory });
 
           if (isMatch) {
             matches.push({
@@ -576,6 +554,7 @@ export async function findUsersWithMatchingKeywords({
               matchType: 'keyword',
               keyword: row.key,
               favoriteId: row.id,
+              deliveryMode: row.delivery_mode || 'instant',
             });
           }
         }
@@ -613,6 +592,33 @@ export async function findUsersWithMatchingKeywords({
   }
 }
 
+export async function listOfferFavoritesWithThresholds(offerIds) {
+  const keys = Array.from(new Set((offerIds || []).filter(Boolean).map(String)));
+  if (keys.length === 0) return [];
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT id, uid, "key", target_price, min_drop_amount, min_drop_percent, baseline_price, last_notified_price
+       FROM favorites
+       WHERE "type" = 'offer' AND "key" = ANY($1)`,
+      [keys]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+export async function markFavoritesPriceNotified(favoriteIds, price) {
+  if (!favoriteIds || favoriteIds.length === 0) return;
+  const client = await getPool().connect();
+  try {
+    await client.query('UPDATE favorites SET last_notified_price = $2 WHERE id = ANY($1)', [favoriteIds, price]);
+  } finally {
+    client.release();
+  }
+}
+
 export async function markNotificationRead({ uid, notificationId }) {
   const client = await getPool().connect();
   try {
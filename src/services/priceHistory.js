@@ -0,0 +1,154 @@
+import { getPool } from './postgres.js';
+
+const TRACKED_COLUMNS = ['price_numeric', 'oldprice_numeric', 'perc', 'is_expired', 'is_deleted'];
+const NUMERIC_COLUMNS = new Set(['price_numeric', 'oldprice_numeric', 'perc']);
+
+export const INTERVALS = {
+  raw: 0,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const DAY_MS = INTERVALS.day;
+
+function parseValue(column, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (NUMERIC_COLUMNS.has(column)) {
+    const n = Number(value);
+    return Number.isNaN(n) ? null : n;
+  }
+  return ['t', 'true', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function emptyState() {
+  return Object.fromEntries(TRACKED_COLUMNS.map(c => [c, null]));
+}
+
+// offers_history holds one row per changed column; rows sharing `changed_at` belong to
+// the same write, so they are folded into a single snapshot of every tracked column.
+function rebuildSnapshots(rows, current) {
+  const initial = emptyState();
+  const seen = new Set();
+  for (const row of rows) {
+    if (seen.has(row.column_name)) continue;
+    seen.add(row.column_name);
+    initial[row.column_name] = parseValue(row.column_name, row.operation === 'INSERT' ? row.new_value : row.old_value);
+  }
+  for (const column of TRACKED_COLUMNS) {
+    if (!seen.has(column) && current) initial[column] = parseValue(column, current[column]);
+  }
+
+  const snapshots = [];
+  let state = { ...initial };
+  let lastTs = null;
+  for (const row of rows) {
+    const ts = new Date(row.changed_at).getTime();
+    if (lastTs !== null && ts !== lastTs) snapshots.push({ t: lastTs, ...state });
+    state = { ...state, [row.column_name]: parseValue(row.column_name, row.operation === 'DELETE' ? row.old_value : row.new_value) };
+    lastTs = ts;
+  }
+  if (lastTs !== null) snapshots.push({ t: lastTs, ...state });
+  return { initial, snapshots };
+}
+
+// Keeps the last snapshot of each bucket (what the offer looked like when the bucket
+// closed) plus the lowest and highest price seen inside it.
+function downsample(points, intervalMs) {
+  if (!intervalMs) return points;
+  const buckets = new Map();
+  for (const p of points) {
+    const key = Math.floor(p.t / intervalMs) * intervalMs;
+    const bucket = buckets.get(key);
+    const price = p.price_numeric;
+    if (!bucket) {
+      buckets.set(key, { ...p, t: key, price_min: price, price_max: price });
+      continue;
+    }
+    Object.assign(bucket, { ...p, t: key });
+    if (price !== null) {
+      bucket.price_min = bucket.price_min === null ? price : Math.min(bucket.price_min, price);
+      bucket.price_max = bucket.price_max === null ? price : Math.max(bucket.price_max, price);
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.t - b.t);
+}
+
+// Each price counts for as long as it stayed on the offer, so the average is not skewed
+// by bursts of edits.
+function computeStats(points, from, to, lowestDays) {
+  const priced = points.filter(p => p.price_numeric !== null);
+  if (priced.length === 0) {
+    return { min: null, max: null, avg: null, current: null, lowest_in_days: { days: lowestDays, price: null, is_current_lowest: false } };
+  }
+
+  let weighted = 0;
+  let duration = 0;
+  for (let i = 0; i < priced.length; i++) {
+    const start = Math.max(priced[i].t, from);
+    const end = i + 1 < priced.length ? priced[i + 1].t : to;
+    const span = Math.max(0, end - start);
+    weighted += priced[i].price_numeric * span;
+    duration += span;
+  }
+  const prices = priced.map(p => p.price_numeric);
+  const current = priced[priced.length - 1].price_numeric;
+
+  const windowStart = to - lowestDays * DAY_MS;
+  // The price in force when the window opened still counts, even if it was set earlier.
+  const inWindow = priced.filter((p, i) => p.t >= windowStart || (priced[i + 1]?.t ?? Infinity) > windowStart);
+  const lowest = inWindow.length > 0 ? Math.min(...inWindow.map(p => p.price_numeric)) : null;
+
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg: duration > 0 ? Math.round((weighted / duration) * 100) / 100 : current,
+    current,
+    lowest_in_days: { days: lowestDays, price: lowest, is_current_lowest: lowest !== null && current <= lowest }
+  };
+}
+
+export async function getPriceHistory(offerId, { from = null, to = null, interval = 'raw', lowestDays = 30 } = {}) {
+  const client = await getPool().connect();
+  let current;
+  let rows;
+  try {
+    const offerRes = await client.query(
+      `SELECT ${TRACKED_COLUMNS.map(c => `"${c}"`).join(', ')} FROM offers WHERE offer_id = $1 LIMIT 1`,
+      [offerId]
+    );
+    current = offerRes.rows[0] || null;
+    const historyRes = await client.query(
+      `SELECT changed_at, column_name, old_value, new_value, operation
+       FROM offers_history
+       WHERE offer_id = $1 AND column_name = ANY($2) AND ($3::timestamptz IS NULL OR changed_at <= $3)
+       ORDER BY changed_at ASC, history_id ASC`,
+      [offerId, TRACKED_COLUMNS, to ? new Date(to) : null]
+    );
+    rows = historyRes.rows;
+  } finally {
+    client.release();
+  }
+
+  if (!current && rows.length === 0) return null;
+
+  const toMs = to ? new Date(to).getTime() : Date.now();
+  const { initial, snapshots } = rebuildSnapshots(rows, current);
+  if (snapshots.length === 0) snapshots.push({ t: toMs, ...initial });
+
+  const firstTs = snapshots[0].t;
+  const fromMs = from ? new Date(from).getTime() : firstTs;
+
+  // Changes before `from` only matter for the state the range opens with.
+  const before = snapshots.filter(p => p.t < fromMs);
+  const inRange = snapshots.filter(p => p.t >= fromMs && p.t <= toMs);
+  const points = before.length > 0 ? [{ ...before[before.length - 1], t: fromMs }, ...inRange] : inRange;
+
+  return {
+    from: new Date(Math.min(fromMs, toMs)).toISOString(),
+    to: new Date(toMs).toISOString(),
+    interval,
+    points: downsample(points, INTERVALS[interval]).map(p => ({ ...p, t: new Date(p.t).toISOString() })),
+    stats: computeStats(points, fromMs, toMs, lowestDays)
+  };
+}
@@ -0,0 +1,69 @@
+// Small in-process LRU: a Map keeps insertion order, so re-inserting on every hit keeps
+// the least recently used entry first. Values are stored as the serialized response,
+// which also gives an honest size to enforce the memory bound with.
+export function createLruCache({ maxEntries = 500, maxBytes = 32 * 1024 * 1024, ttlMs = 30000 } = {}) {
+  const entries = new Map();
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.size;
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      misses += 1;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      remove(key);
+      misses += 1;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    hits += 1;
+    return entry.value;
+  }
+
+  // `tags` are free-form strings used by invalidate() to drop related entries.
+  function set(key, value, { tags = [] } = {}) {
+    const size = Buffer.byteLength(value);
+    if (size > maxBytes) return false;
+    remove(key);
+    entries.set(key, { value, size, tags, expiresAt: Date.now() + ttlMs });
+    bytes += size;
+    for (const oldest of entries.keys()) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      remove(oldest);
+    }
+    return true;
+  }
+
+  function invalidate(predicate) {
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+      if (predicate(entry.tags, key)) {
+        remove(key);
+        dropped += 1;
+      }
+    }
+    return dropped;
+  }
+
+  function clear() {
+    entries.clear();
+    bytes = 0;
+  }
+
+  function stats() {
+    return { entries: entries.size, bytes, hits, misses, maxEntries, maxBytes, ttlMs };
+  }
+
+  return { get, set, delete: remove, invalidate, clear, stats };
+}
@@ -0,0 +1,252 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { getPool } from './postgres.js';
+import { manualNotificationError, previewManualNotification, sendManualNotification } from './notifications.js';
+
+// POST /send-notification with `scheduledAt` stores the push here; a worker on every
+// instance sends the due ones. A row is moved to 'sending' (FOR UPDATE SKIP LOCKED)
+// before anything goes out and never goes back to 'pending', so each push is sent at
+// most once: one interrupted mid-send ends up 'failed' rather than being sent twice.
+
+export const SCHEDULED_STATUSES = ['pending', 'sending', 'sent', 'failed', 'missed', 'cancelled'];
+
+const PAYLOAD_FIELDS = ['type', 'title', 'body', 'cta', 'target', 'cta_target', 'offer_id', 'uids'];
+
+let workerTimer = null;
+let workerRunning = false;
+let stopping = false;
+
+function pickPayload(body) {
+  const payload = {};
+  for (const field of PAYLOAD_FIELDS) {
+    if (body?.[field] !== undefined) payload[field] = body[field];
+  }
+  return payload;
+}
+
+function parseScheduledAt(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: 'Invalid scheduledAt date' };
+  if (date.getTime() <= Date.now()) return { error: 'scheduledAt must be in the future' };
+  return { date };
+}
+
+export async function createScheduledNotification(body, { createdBy = null } = {}) {
+  const { date, error: dateError } = parseScheduledAt(body?.scheduledAt);
+  if (dateError) return { success: false, reason: dateError };
+  const payload = pickPayload(body);
+  const error = manualNotificationError(payload);
+  if (error) return { success: false, reason: error };
+
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      'INSERT INTO scheduled_notifications (payload, scheduled_at, created_by) VALUES ($1, $2, $3) RETURNING *',
+      [JSON.stringify(payload), date, createdBy]
+    );
+    return { success: true, row: res.rows[0] };
+  } finally {
+    client.release();
+  }
+}
+
+export async function listScheduledNotifications({ status = null, limit = 50 } = {}) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT * FROM scheduled_notifications
+       WHERE ($1::text IS NULL OR status = $1)
+       ORDER BY scheduled_at DESC, id DESC
+       LIMIT $2`,
+      [status, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+    );
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getScheduledNotification(id) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT * FROM scheduled_notifications WHERE id = $1', [id]);
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Payload fields present in `body` replace the stored ones, `scheduledAt` moves it.
+// Only pending pushes can change: reason 'not_found' or 'not_pending' otherwise.
+export async function updateScheduledNotification(id, body) {
+  const current = await getScheduledNotification(id);
+  if (!current) return { success: false, reason: 'not_found' };
+  if (current.status !== 'pending') return { success: false, reason: 'not_pending' };
+
+  let scheduledAt = current.scheduled_at;
+  if (body?.scheduledAt !== undefined) {
+    const { date, error } = parseScheduledAt(body.scheduledAt);
+    if (error) return { success: false, reason: error };
+    scheduledAt = date;
+  }
+  const payload = { ...current.payload, ...pickPayload(body) };
+  const error = manualNotificationError(payload);
+  if (error) return { success: false, reason: error };
+
+  const client = await getPool().connect();
+  try {
+    // The status check is repeated here: the worker may have claimed it meanwhile.
+    const res = await client.query(
+      `UPDATE scheduled_notifications SET payload = $2, scheduled_at = $3, updated_at = now()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [id, JSON.stringify(payload), scheduledAt]
+    );
+    if (res.rowCount === 0) return { success: false, reason: 'not_pending' };
+    return { success: true, row: res.rows[0] };
+  } finally {
+    client.release();
+  }
+}
+
+export async function cancelScheduledNotification(id, { cancelledBy = null } = {}) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE scheduled_notifications SET status = 'cancelled', cancelled_by = $2, finished_at = now(), updated_at = now()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [id, cancelledBy]
+    );
+    if (res.rowCount > 0) return { success: true, row: res.rows[0] };
+    const exists = await client.query('SELECT 1 FROM scheduled_notifications WHERE id = $1', [id]);
+    return { success: false, reason: exists.rowCount > 0 ? 'not_pending' : 'not_found' };
+  } finally {
+    client.release();
+  }
+}
+
+// The push as it would be rendered now (offer pushes read the offer at send time) and
+// how many users it would currently reach.
+export async function previewScheduledNotification(id) {
+  const row = await getScheduledNotification(id);
+  if (!row) return null;
+  return { row, preview: await previewManualNotification(row.payload) };
+}
+
+// --- Worker ---
+
+// Pushes left in 'sending' by a crashed or restarted instance may or may not have gone
+// out, so they are failed instead of being retried.
+async function failInterruptedSends() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE scheduled_notifications
+       SET status = 'failed', last_error = 'interrupted', finished_at = now(), updated_at = now()
+       WHERE status = 'sending' AND started_at < now() - ($1::bigint * interval '1 millisecond')`,
+      [config.scheduledNotifications.staleSendMs]
+    );
+    if (res.rowCount > 0) universalLog('warn', 'scheduled_notifications_interrupted', { count: res.rowCount });
+  } finally {
+    client.release();
+  }
+}
+
+async function markMissed() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE scheduled_notifications
+       SET status = 'missed', finished_at = now(), updated_at = now()
+       WHERE status = 'pending' AND scheduled_at < now() - ($1::bigint * interval '1 millisecond')
+       RETURNING id, scheduled_at`,
+      [config.scheduledNotifications.maxDelayMs]
+    );
+    if (res.rowCount > 0) universalLog('warn', 'scheduled_notifications_missed', { ids: res.rows.map(r => r.id) });
+  } finally {
+    client.release();
+  }
+}
+
+async function claimNextDue() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE scheduled_notifications
+       SET status = 'sending', started_at = now(), updated_at = now()
+       WHERE id = (
+         SELECT id FROM scheduled_notifications
+         WHERE status = 'pending' AND scheduled_at <= now()
+         ORDER BY scheduled_at, id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    return res.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Only a row still in 'sending': one failed as interrupted meanwhile keeps that outcome.
+async function finishScheduled(id, { status, result = null, error = null }) {
+  const client = await getPool().connect();
+  try {
+    await client.query(
+      `UPDATE scheduled_notifications
+       SET status = $2, "result" = $3, notification_id = $4, last_error = $5, finished_at = now(), updated_at = now()
+       WHERE id = $1 AND status = 'sending'`,
+      [id, status, result ? JSON.stringify(result) : null, result?.notificationId ?? null, error]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+async function runScheduled(row) {
+  const context = { id: row.id, type: row.payload?.type, scheduledAt: row.scheduled_at };
+  try {
+    const result = await sendManualNotification(row.payload);
+    await finishScheduled(row.id, { status: 'sent', result });
+    universalLog('info', 'scheduled_notification_sent', { ...context, sent: result.sent, total: result.total });
+  } catch (err) {
+    universalLog('error', 'scheduled_notification_failed', { ...context, error: err.message });
+    await finishScheduled(row.id, { status: 'failed', error: err.message });
+  }
+}
+
+async function drainDue() {
+  if (workerRunning || stopping) return;
+  workerRunning = true;
+  try {
+    await failInterruptedSends();
+    await markMissed();
+    // Checked before claiming: a row claimed while stopping would be left in 'sending'
+    // and later failed as interrupted without ever being sent.
+    while (!stopping) {
+      const row = await claimNextDue();
+      if (!row) break;
+      await runScheduled(row);
+    }
+  } catch (err) {
+    universalLog('error', 'scheduled_notifications_worker_error', { error: err.message, stack: err.stack });
+  } finally {
+    workerRunning = false;
+  }
+}
+
+export function startScheduledNotificationsWorker() {
+  if (workerTimer) return;
+  stopping = false;
+  workerTimer = setInterval(drainDue, config.scheduledNotifications.pollIntervalMs);
+  universalLog('info', 'scheduled_notifications_worker_started', { pollIntervalMs: config.scheduledNotifications.pollIntervalMs });
+  drainDue();
+}
+
+export function stopScheduledNotificationsWorker() {
+  stopping = true;
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
@@ -0,0 +1,265 @@
+import { config } from '../config.js';
+import { universalLog } from '../logger.js';
+import { toBool } from '../utils.js';
+import { getPool } from './postgres.js';
+
+// Query expansion and typo correction shared by GET /offers and /search-suggestions.
+// Synonyms come from the search_synonyms table (managed through the admin API);
+// corrections use pg_trgm similarity against the words of current offer titles.
+
+const TOKEN_CLEANUP = /[^a-zA-Z0-9àèéìòùÀÈÉÌÒÙ]/g;
+
+let cache = null;
+let cacheLoadedAt = 0;
+let loading = null;
+
+export function searchTokens(text) {
+  return String(text || '').split(/\s+/)
+    .map(t => t.replace(TOKEN_CLEANUP, ''))
+    .filter(t => t !== '');
+}
+
+function normalizeTerm(value) {
+  return searchTokens(value).join(' ').toLowerCase();
+}
+
+// term -> alternatives, both lowercased. Bidirectional rows also map every synonym back
+// to the term and to the other synonyms.
+async function loadSynonyms() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT term, synonyms, bidirectional FROM search_synonyms');
+    const next = new Map();
+    const add = (from, to) => {
+      if (!from || !to || from === to) return;
+      if (!next.has(from)) next.set(from, new Set());
+      next.get(from).add(to);
+    };
+    for (const row of res.rows) {
+      const term = normalizeTerm(row.term);
+      const synonyms = (row.synonyms || []).map(normalizeTerm).filter(Boolean);
+      for (const s of synonyms) add(term, s);
+      if (toBool(row.bidirectional)) {
+        const group = [term, ...synonyms];
+        for (const a of group) for (const b of group) add(a, b);
+      }
+    }
+    cache = next;
+    cacheLoadedAt = Date.now();
+    return cache;
+  } finally {
+    client.release();
+  }
+}
+
+async function getSynonymMap() {
+  const fresh = cache && Date.now() - cacheLoadedAt < config.search.synonymsCacheTtlMs;
+  if (fresh) return cache;
+  if (!loading) {
+    loading = loadSynonyms()
+      .catch(err => {
+        // Searching without synonyms beats failing the search.
+        universalLog('error', 'search_synonyms_load_failed', { error: err.message });
+        return cache || new Map();
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+export function invalidateSynonymsCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+// Returns one group per token (the token followed by its synonyms) and the synonyms
+// that were actually applied, keyed by token.
+export async function expandSearchTerms(tokens) {
+  const map = await getSynonymMap();
+  const synonymsApplied = {};
+  const groups = tokens.map(token => {
+    const alternatives = [...(map.get(token.toLowerCase()) || [])];
+    if (alternatives.length > 0) synonymsApplied[token] = alternatives;
+    return [token, ...alternatives];
+  });
+  return { groups, synonymsApplied };
+}
+
+// Each group becomes an OR of prefix matches; multi-word synonyms ("smart tv") become
+// phrase matches. Groups are ANDed together.
+export function toTsQuery(groups) {
+  return groups
+    .map(group => {
+      const alternatives = group
+        .map(term => searchTokens(term))
+        .filter(words => words.length > 0)
+        .map(words => words.map((w, i) => (i === words.length - 1 ? `${w}:*` : w)).join(' <-> '));
+      const unique = [...new Set(alternatives)];
+      return unique.length === 1 ? unique[0] : `(${unique.map(a => (a.includes('<->') ? `(${a})` : a)).join(' | ')})`;
+    })
+    .join(' & ');
+}
+
+// Closest word in current offer titles for every token long enough to correct. Returns
+// null when nothing would change, so callers can tell "no correction" apart.
+export async function suggestCorrections(tokens) {
+  const threshold = config.search.fuzzyThreshold;
+  const client = await getPool().connect();
+  const corrections = [];
+  try {
+    for (const token of tokens) {
+      const lower = token.toLowerCase();
+      if (lower.length < config.search.fuzzyMinLength) continue;
+      const res = await client.query(
+        `SELECT w AS word, similarity(w, $1) AS score
+         FROM (
+           SELECT DISTINCT regexp_split_to_table(lower(title), '[^[:alnum:]àèéìòù]+') AS w
+           FROM (
+             SELECT title FROM offers
+             WHERE $1 <% lower(title) AND COALESCE(is_deleted, false) = false
+             LIMIT 200
+           ) candidates
+         ) words
+         WHERE length(w) > 2 AND similarity(w, $1) >= $2
+         ORDER BY score DESC, length(w) ASC
+         LIMIT 1`,
+        [lower, threshold]
+      );
+      const best = res.rows[0];
+      if (best && best.word !== lower) corrections.push({ from: token, to: best.word, score: Number(best.score) });
+    }
+  } finally {
+    client.release();
+  }
+  if (corrections.length === 0) return null;
+  const byToken = new Map(corrections.map(c => [c.from, c.to]));
+  return {
+    corrected: tokens.map(t => byToken.get(t) ?? t).join(' '),
+    corrections
+  };
+}
+
+async function querySuggestionTitles(tsQuery) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT DISTINCT title FROM offers WHERE title_search_vector @@ to_tsquery('italian', $1) LIMIT 10`,
+      [tsQuery]
+    );
+    return res.rows.map(r => r.title);
+  } finally {
+    client.release();
+  }
+}
+
+// Strict (synonym-expanded) match first, then the corrected query, then plain trigram
+// similarity on titles.
+export async function searchSuggestions(q) {
+  const tokens = searchTokens(q);
+  if (tokens.length === 0) return { suggestions: [], didYouMean: null };
+
+  const { groups } = await expandSearchTerms(tokens);
+  let suggestions = await querySuggestionTitles(toTsQuery(groups));
+  if (suggestions.length > 0) return { suggestions, didYouMean: null };
+
+  const correction = await suggestCorrections(tokens);
+  if (correction) {
+    const expanded = await expandSearchTerms(searchTokens(correction.corrected));
+    suggestions = await querySuggestionTitles(toTsQuery(expanded.groups));
+    if (suggestions.length > 0) return { suggestions, didYouMean: correction.corrected };
+  }
+
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `SELECT title FROM offers
+       WHERE $1 <% lower(title) AND COALESCE(is_deleted, false) = false
+       ORDER BY word_similarity($1, lower(title)) DESC
+       LIMIT 10`,
+      [tokens.join(' ').toLowerCase()]
+    );
+    return { suggestions: [...new Set(res.rows.map(r => r.title))], didYouMean: correction?.corrected ?? null };
+  } finally {
+    client.release();
+  }
+}
+
+function pickSynonymFields(data) {
+  const out = {};
+  if (data?.term !== undefined) out.term = String(data.term ?? '').trim();
+  if (data?.synonyms !== undefined) {
+    const list = Array.isArray(data.synonyms) ? data.synonyms : String(data.synonyms ?? '').split(',');
+    out.synonyms = [...new Set(list.map(s => String(s).trim()).filter(Boolean))];
+  }
+  if (data?.bidirectional !== undefined) out.bidirectional = toBool(data.bidirectional);
+  return out;
+}
+
+export async function listSynonyms() {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('SELECT * FROM search_synonyms ORDER BY lower(term) ASC');
+    return res.rows;
+  } finally {
+    client.release();
+  }
+}
+
+export async function createSynonym(data) {
+  const payload = pickSynonymFields(data);
+  if (!payload.term) return { success: false, reason: 'term_required' };
+  if (!payload.synonyms || payload.synonyms.length === 0) return { success: false, reason: 'synonyms_required' };
+
+  const cols = Object.keys(payload);
+  const placeholders = cols.map((_, idx) => `$${idx + 1}`);
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `INSERT INTO search_synonyms (${cols.map(c => `"${c}"`).join(',')}) VALUES (${placeholders.join(',')}) ON CONFLICT DO NOTHING RETURNING *`,
+      cols.map(c => payload[c])
+    );
+    if (res.rowCount === 0) return { success: false, reason: 'already_exists' };
+    invalidateSynonymsCache();
+    return { success: true, row: res.rows[0] };
+  } finally {
+    client.release();
+  }
+}
+
+export async function updateSynonym(id, data) {
+  const payload = pickSynonymFields(data);
+  if (payload.term === '') return { success: false, reason: 'term_required' };
+  if (payload.synonyms && payload.synonyms.length === 0) return { success: false, reason: 'synonyms_required' };
+  const cols = Object.keys(payload);
+  if (cols.length === 0) return { success: false, reason: 'no_fields' };
+
+  const assignments = cols.map((c, idx) => `"${c}" = $${idx + 1}`);
+  const values = cols.map(c => payload[c]);
+  values.push(Number(id));
+
+  const client = await getPool().connect();
+  try {
+    const res = await client.query(
+      `UPDATE search_synonyms SET ${assignments.join(', ')}, updated_at = now() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    invalidateSynonymsCache();
+    return { success: res.rowCount > 0, row: res.rows[0] || null };
+  } catch (err) {
+    if (err.code === '23505') return { success: false, reason: 'already_exists' };
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteSynonym(id) {
+  const client = await getPool().connect();
+  try {
+    const res = await client.query('DELETE FROM search_synonyms WHERE id = $1', [Number(id)]);
+    invalidateSynonymsCache();
+    return { success: res.rowCount > 0 };
+  } finally {
+    client.release();
+  }
+}
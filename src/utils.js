@@ -68,6 +68,87 @@ export function extractWordsFromTitle(title) {
   return Array.from(new Set(words));
 }
 
+// Title fragments a `type = 'keyword'` favorite can match (compared on lower(key)):
+// up to 5 single words (lower + TitleCase), 5 bigrams and 3 trigrams.
+export function keywordMatchCandidates({ titleWords = [], rawTitle = null }) {
+  // Normalize title for phrases
+  const titleForPhrases = rawTitle ?? titleWords.join(' ');
+  const titleNoPunct = (titleForPhrases || '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const orderedTokens = titleNoPunct ? titleNoPunct.split(' ') : [];
+  const orderedTokensLow = orderedTokens.map(w => w.toLowerCase());
+
+  // Single words (lower + TitleCase) limited for perf
+  const singleWords = Array.from(new Set(titleWords.map(w => w.toLowerCase()).filter(Boolean))).slice(0, 5);
+
+  // Bigrams & trigrams
+  const bigrams = [];
+  for (let i = 0; i + 1 < orderedTokens.length; i++) {
+    bigrams.push({ low: `${orderedTokensLow[i]} ${orderedTokensLow[i + 1]}` });
+  }
+  const trigrams = [];
+  for (let i = 0; i + 2 < orderedTokens.length; i++) {
+    trigrams.push({ low: `${orderedTokensLow[i]} ${orderedTokensLow[i + 1]} ${orderedTokensLow[i + 2]}` });
+  }
+
+  const bigramKeys = bigrams.slice(0, 5).map(b => b.low);
+  const trigramKeys = trigrams.slice(0, 3).map(t => t.low);
+
+  const candidates = [];
+  for (const w of singleWords) {
+    candidates.push(w);
+    if (w.length > 0) {
+      candidates.push(w.charAt(0).toUpperCase() + w.slice(1));
+    }
+  }
+  candidates.push(...bigramKeys, ...trigramKeys);
+
+  return Array.from(new Set(candidates.filter(Boolean)));
+}
+
+// Category/store/price/discount filters of a keyword favorite. A filter is skipped when
+// either side is missing.
+export function keywordFavoriteMatchesOffer(favorite, { offerPrice = null, offerDiscount = null, offerStore = null, offerCategory = null }) {
+  // Check category match
+  if (favorite.category && offerCategory) {
+    const favCatLower = String(favorite.category).toLowerCase().trim();
+    const offerCatLower = String(offerCategory).toLowerCase().trim();
+    if (favCatLower !== offerCatLower) return false;
+  }
+
+  // Check store match
+  if (favorite.store && offerStore) {
+    const favStoreLower = String(favorite.store).toLowerCase().trim();
+    const offerStoreLower = String(offerStore).toLowerCase().trim();
+    if (favStoreLower !== offerStoreLower) return false;
+  }
+
+  // Check min price
+  if (favorite.min_price !== null && favorite.min_price !== undefined && offerPrice !== null && offerPrice < favorite.min_price) return false;
+
+  // Check max price
+  if (favorite.max_price !== null && favorite.max_price !== undefined && offerPrice !== null && offerPrice > favorite.max_price) return false;
+
+  // Check min discount
+  if (favorite.min_discount !== null && favorite.min_discount !== undefined && offerDiscount !== null && offerDiscount < favorite.min_discount) return false;
+
+  return true;
+}
+
+// What findUsersWithMatchingKeywords() is given for an offer (post or offers row).
+export function keywordMatchInput(offer) {
+  return {
+    titleWords: offer.title ? extractWordsFromTitle(offer.title) : [],
+    rawTitle: offer.title ?? null,
+    offerPrice: offer.price_numeric ?? null,
+    offerDiscount: offer.perc ?? null,
+    offerStore: offer.store || offer.store_name || null,
+    offerCategory: offer.category || offer.main_category || null,
+  };
+}
+
 export function generateOfferId() {
   return crypto.randomUUID();
 }
@@ -79,3 +160,43 @@ export function nowMs() {
 export function deleteAtPlusDays(days = 7) {
   return Date.now() + days * 24 * 60 * 60 * 1000;
 }
+
+// Decides whether a price change should notify an offer favorite. Drops are measured
+// from the price the user was last notified at (or the price when they saved the
+// favorite), so a slow slide still fires once it adds up and the same drop never
+// fires twice. Favorites without thresholds keep the old "any drop" behaviour.
+export function priceDropThresholdFired(favorite, oldPrice, newPrice) {
+  if (newPrice === null || newPrice === undefined || Number.isNaN(Number(newPrice))) return null;
+  const price = Number(newPrice);
+  const num = v => (v === null || v === undefined || v === '' ? null : Number(v));
+  const target = num(favorite.target_price);
+  const minAmount = num(favorite.min_drop_amount);
+  const minPercent = num(favorite.min_drop_percent);
+  const lastNotified = num(favorite.last_notified_price);
+  const reference = lastNotified ?? num(favorite.baseline_price) ?? num(oldPrice);
+
+  if (target === null && minAmount === null && minPercent === null) {
+    return oldPrice !== null && price < Number(oldPrice) ? { type: 'any_drop', value: null } : null;
+  }
+  if (target !== null && price <= target && (lastNotified === null || lastNotified > target)) {
+    return { type: 'target_price', value: target };
+  }
+  if (reference === null || price >= reference) return null;
+  const drop = reference - price;
+  if (minAmount !== null && drop >= minAmount) return { type: 'min_drop_amount', value: minAmount };
+  if (minPercent !== null && reference > 0 && (drop / reference) * 100 >= minPercent) {
+    return { type: 'min_drop_percent', value: minPercent };
+  }
+  return null;
+}
+
+// A target price alert that already fired re-arms once the price climbs back above the
+// target: last_notified_price is then moved up to the new price, so the next dip below
+// the target fires again.
+export function targetPriceRearmed(favorite, newPrice) {
+  if (newPrice === null || newPrice === undefined || Number.isNaN(Number(newPrice))) return false;
+  const num = v => (v === null || v === undefined || v === '' ? null : Number(v));
+  const target = num(favorite.target_price);
+  const lastNotified = num(favorite.last_notified_price);
+  return target !== null && lastNotified !== null && lastNotified <= target && Number(newPrice) > target;
+}